@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson } = require('./datafile');
+const jobs = require('./jobs');
+const storageIndex = require('./storageindex');
+const { storageUnits, casketCapacity } = require('./inventory');
+
+// ── Audit log ─────────────────────────────────────────────────────────────────
+// Every move and trade-up is written to data/audit/<account>.jsonl. A move
+// operation is everything one request queued — a bulk move, a distribute, an
+// organize run, an undo — and can span several jobs:
+//
+//   { id, account, type: 'move', source, status, createdAt, finishedAt, jobIds,
+//     items: [{ id, from, to, status, error }], undoOf, undoneBy }
+//
+// from/to are storage unit ids, null for the inventory; status is running, done,
+// partial, failed or cancelled. Trade-ups are recorded as
+//
+//   { id, account, type: 'tradeup', source, status, createdAt, finishedAt,
+//     recipe, inputIds, outputId, error }
+//
+// with status done, refused (the GC kept the inputs) or failed.
+//
+// The file is only ever appended to: each line is an entry as it stood when it
+// last changed, and the last line for an id wins. Once it has grown to twice
+// MAX_ENTRIES lines it's rewritten with just the newest entries.
+//
+// planUndo() works out how to reverse a finished move operation: items still
+// where it put them go back where they came from; anything that has moved on
+// since is skipped.
+const MAX_ENTRIES = 2000; // per account; oldest are dropped
+
+function logFile(account, ext = 'jsonl') {
+  return dataPath('audit', `${String(account || 'unknown').replace(/[^\w.-]/g, '_')}.${ext}`);
+}
+
+// { entries (oldest first), lines } from the account's file
+function readLog(account) {
+  const file = logFile(account);
+  if (!fs.existsSync(file)) migrateLog(account);
+  const byId = new Map();
+  let lines = 0;
+  let text = '';
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[${account}] Could not read audit log:`, err.message);
+  }
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    lines++;
+    try {
+      const entry = JSON.parse(line);
+      byId.set(entry.id, entry);
+    } catch {} // a line cut short by a crash
+  }
+  return { entries: [...byId.values()], lines };
+}
+
+function loadLog(account) {
+  return readLog(account).entries;
+}
+
+// Add the entries' current state; throws if the file can't be written
+function appendEntries(account, entries, lines) {
+  const file = logFile(account);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, entries.map(e => JSON.stringify(e) + '\n').join(''));
+  if (lines + entries.length >= 2 * MAX_ENTRIES) writeLog(file, loadLog(account).slice(-MAX_ENTRIES));
+}
+
+function writeLog(file, entries) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+  fs.renameSync(tmp, file);
+}
+
+// The log used to be one JSON array, rewritten on every change
+function migrateLog(account) {
+  const old = logFile(account, 'json');
+  const entries = readJson(old, null);
+  if (!Array.isArray(entries)) return;
+  try {
+    fs.mkdirSync(path.dirname(old), { recursive: true });
+    writeLog(logFile(account), entries.slice(-MAX_ENTRIES));
+    fs.rmSync(old);
+  } catch (err) {
+    console.warn(`[${account}] Could not migrate audit log:`, err.message);
+  }
+}
+
+// Jobs report in when they're queued and when they finish
+jobs.jobEvents.on('created', recordMoveJob);
+jobs.jobEvents.on('finished', recordMoveJob);
+
+function recordMoveJob(job) {
+  const { entries, lines } = readLog(job.account);
+  const entry = entries.find(e => e.id === job.operationId) || newMoveEntry(job.account, job.operationId, job.source);
+  if (!entry.jobIds.includes(job.id)) entry.jobIds.push(job.id);
+  const from = job.type === 'add' ? null : job.casketId;
+  const to = job.type === 'add' ? job.casketId : null;
+  for (const item of job.items) {
+    const row = { id: item.id, from, to, status: item.status, error: item.error || null };
+    const i = entry.items.findIndex(r => r.id === item.id && r.from === from && r.to === to);
+    if (i >= 0) entry.items[i] = row;
+    else entry.items.push(row);
+  }
+  entry.status = operationStatus(entry.items);
+  entry.finishedAt = entry.status === 'running' ? null : new Date().toISOString();
+  try {
+    appendEntries(job.account, [entry], lines);
+  } catch (err) {
+    console.warn(`[${job.account}] Could not write audit log:`, err.message);
+  }
+}
+
+function newMoveEntry(account, id, source, undoOf = null) {
+  return {
+    id,
+    account,
+    type: 'move',
+    source: source || null,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    jobIds: [],
+    items: [],
+    undoOf,
+    undoneBy: null,
+  };
+}
+
+function operationStatus(items) {
+  if (items.some(i => i.status === 'pending' || i.status === 'sent')) return 'running';
+  const moved = items.filter(i => i.status === 'moved').length;
+  if (moved === items.length) return 'done';
+  if (moved > 0) return 'partial';
+  return items.every(i => i.status === 'cancelled') ? 'cancelled' : 'failed';
+}
+
+// status: 'done' | 'refused' | 'failed'
+function recordTradeup(account, { source = null, recipe, inputIds, outputId = null, status, error = null, startedAt }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    account,
+    type: 'tradeup',
+    source,
+    status,
+    createdAt: startedAt || new Date().toISOString(),
+    finishedAt: new Date().toISOString(),
+    recipe,
+    inputIds: inputIds.map(String),
+    outputId: outputId != null ? String(outputId) : null,
+    error,
+  };
+  try {
+    appendEntries(account, [entry], readLog(account).lines);
+  } catch (err) {
+    console.warn(`[${account}] Could not write audit log:`, err.message);
+  }
+}
+
+// Newest first. type: 'move' | 'tradeup' to show only those
+function listEntries(account, { type, limit = 100 } = {}) {
+  return loadLog(account).filter(e => !type || e.type === type).reverse().slice(0, limit);
+}
+
+function getEntry(account, id) {
+  return loadLog(account).find(e => e.id === id) || null;
+}
+
+// Summary for lists: everything but the per-item rows
+function describeEntry(entry) {
+  if (entry.type !== 'move') return entry;
+  const { items, ...rest } = entry;
+  const counts = {};
+  for (const item of items) counts[item.status] = (counts[item.status] || 0) + 1;
+  return { ...rest, itemCount: items.length, counts };
+}
+
+// ── Undo ──────────────────────────────────────────────────────────────────────
+// Returns { operationId, batches: [{ direction, casketId, itemIds }], skipped }
+// for the route to queue as jobs, or { error, status }. Storage units are indexed
+// first so items moved into them can be found.
+async function planUndo(session, id) {
+  const account = session.accountName;
+  const entry = getEntry(account, id);
+  if (!entry) return { error: 'Operation not found', status: 404 };
+  if (entry.type !== 'move') return { error: 'Only moves can be undone', status: 400 };
+  if (entry.status === 'running') return { error: 'Operation is still running', status: 409 };
+  if (entry.undoneBy) return { error: `Operation was already undone (${entry.undoneBy})`, status: 409 };
+
+  await storageIndex.ensureIndexed(account, storageUnits(session).map(u => u.id.toString()));
+  const where = new Map();
+  for (const item of session.csgo.inventory || []) where.set(item.id?.toString(), item.casket_id?.toString() ?? null);
+  for (const item of storageIndex.indexedItems(account)) where.set(item.id?.toString(), item.casket_id?.toString() ?? null);
+
+  const skipped = [];
+  const groups = new Map(); // `${direction}:${casketId}` → batch
+  for (const item of entry.items) {
+    if (item.status !== 'moved') continue;
+    if (!where.has(item.id)) { skipped.push({ id: item.id, reason: 'No longer in the inventory' }); continue; }
+    if (where.get(item.id) !== item.to) { skipped.push({ id: item.id, reason: 'Moved since' }); continue; }
+    // Out of the unit it went into, or back into the unit it came out of
+    const direction = item.from == null ? 'remove' : 'add';
+    const casketId = item.from ?? item.to;
+    const key = `${direction}:${casketId}`;
+    if (!groups.has(key)) groups.set(key, { direction, casketId, itemIds: [] });
+    groups.get(key).itemIds.push(item.id);
+  }
+
+  const batches = [];
+  for (const batch of groups.values()) {
+    if (batch.direction === 'add') {
+      const cap = casketCapacity(session, batch.casketId);
+      const fits = cap ? batch.itemIds.slice(0, cap.free) : [];
+      const reason = cap ? 'Storage unit is full' : 'Storage unit not found';
+      for (const itemId of batch.itemIds.slice(fits.length)) skipped.push({ id: itemId, reason });
+      batch.itemIds = fits;
+    }
+    if (batch.itemIds.length) batches.push(batch);
+  }
+  if (!batches.length) return { error: 'Nothing left to undo', status: 409, skipped };
+  return { operationId: crypto.randomUUID(), batches, skipped };
+}
+
+// Record the undo operation before its jobs are queued, so they join it
+function startUndo(account, undoOf, operationId) {
+  const { entries, lines } = readLog(account);
+  const original = entries.find(e => e.id === undoOf);
+  if (original) original.undoneBy = operationId;
+  appendEntries(account, [...(original ? [original] : []), newMoveEntry(account, operationId, 'undo', undoOf)], lines);
+}
+
+module.exports = {
+  recordTradeup, listEntries, getEntry, describeEntry, planUndo, startUndo,
+};
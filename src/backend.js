@@ -0,0 +1,38 @@
+// ── Steam/GC backends ─────────────────────────────────────────────────────────
+// A backend creates the pair of objects each session talks to:
+//
+//   client — steam-user style: logOn(details), logOff(), gamesPlayed(appIds), steamID;
+//            emits loggedOn, refreshToken, steamGuard, error, loggedOff/disconnected
+//   csgo   — globaloffensive style: inventory, addToCasket, removeFromCasket,
+//            getCasketContents, nameItem, craft; emits connectedToGC,
+//            disconnectedFromGC, itemAcquired, itemChanged, itemRemoved, craftingComplete
+//
+// 'steam' is the real thing; 'simulator' (see simulator.js) runs entirely offline
+// from a fixture. SKINTOOLS_BACKEND picks one; others can be added with registerBackend().
+const backends = new Map();
+
+function registerBackend(name, createClients) {
+  if (!name || typeof createClients !== 'function') throw new Error('Backend needs a name and a createClients() function');
+  backends.set(name, createClients);
+}
+
+registerBackend('steam', () => {
+  const SteamUser = require('steam-user');
+  const GlobalOffensive = require('globaloffensive');
+  const client = new SteamUser();
+  return { client, csgo: new GlobalOffensive(client) };
+});
+
+registerBackend('simulator', (accountName) => require('./simulator').createClients(accountName));
+
+function backendName() {
+  return process.env.SKINTOOLS_BACKEND || 'steam';
+}
+
+function createClients(accountName) {
+  const create = backends.get(backendName());
+  if (!create) throw new Error(`Unknown backend: ${backendName()} (available: ${[...backends.keys()].join(', ')})`);
+  return create(accountName);
+}
+
+module.exports = { registerBackend, backendName, createClients };
@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+// Library code logs progress with console.log; keep stdout for command output
+console.log = console.error;
+console.info = console.error;
+
+const { loadItemSchema, schemaByType } = require('./schema');
+const tradeup = require('./tradeup');
+const tradeupHistory = require('./tradeuphistory');
+const jobs = require('./jobs');
+const storageIndex = require('./storageindex');
+const { exportRows, toCsv } = require('./export');
+const vault = require('./vault');
+const tokens = require('./tokens');
+const sessions = require('./sessions');
+const { storageUnits, casketCapacity, casketContents, collectAllItems, formatItem, isSystemItem } = require('./inventory');
+
+// ── Headless CLI ──────────────────────────────────────────────────────────────
+// Same login, token vault and GC code as the server, without the HTTP layer.
+// Every command prints a table (or JSON with --json) and exits with:
+const EXIT = {
+  OK: 0,
+  FAILED: 1,     // operation failed or only partly succeeded
+  USAGE: 2,      // bad arguments
+  LOGIN: 3,      // no token, vault locked, Steam Guard needed, GC unreachable
+  NOT_FOUND: 4,  // unknown account, unit or item
+};
+
+const USAGE = `Usage: skintools [--account <name>] [--json] <command> [options]
+
+Commands:
+  accounts                      Saved accounts (no login needed)
+  inventory                     Items outside storage units
+  units                         Storage units with item counts and free slots
+  unit <unit>                   Contents of a storage unit
+  search [filters]              Search every storage unit
+  move-in <unit> [--fit] (--ids <id,...> | filters)
+                                Move inventory items into a storage unit
+  move-out <unit> (--ids <id,...> | filters)
+                                Move items out of a storage unit
+  export [--format csv|json] [--out <file>]
+                                Every item in the inventory and all storage units
+  tradeup --ids <id,...> [--yes]
+                                Show a trade-up's outcomes; --yes performs it
+
+<unit> is a storage unit's name or ID.
+Filters: --q <text> --type <t,...> --rarity <r,...> --wear <FN,MW,...>
+         --min-float <n> --max-float <n> --stattrak true|false
+         --souvenir true|false --star true|false --phase <Ruby,Phase 2,...>
+         --sticker <text>  (name of an applied sticker, patch or charm)
+
+Options:
+  --account <name>   Account to use (default: the active account)
+  --json             Print JSON instead of a table
+  --timeout <sec>    How long to wait for the GC connection (default 60)
+
+Exit codes: 0 ok, 1 failed or partial, 2 usage, 3 login/connection, 4 not found.
+Token vault: set SKINTOOLS_VAULT_PASSPHRASE if the tokens are encrypted.`;
+
+const OPTIONS = {
+  account:     { type: 'string' },
+  json:        { type: 'boolean', default: false },
+  timeout:     { type: 'string', default: '60' },
+  ids:         { type: 'string' },
+  fit:         { type: 'boolean', default: false },
+  yes:         { type: 'boolean', default: false },
+  format:      { type: 'string', default: 'csv' },
+  out:         { type: 'string' },
+  q:           { type: 'string' },
+  type:        { type: 'string' },
+  rarity:      { type: 'string' },
+  wear:        { type: 'string' },
+  'min-float': { type: 'string' },
+  'max-float': { type: 'string' },
+  stattrak:    { type: 'string' },
+  souvenir:    { type: 'string' },
+  star:        { type: 'string' },
+  phase:       { type: 'string' },
+  sticker:     { type: 'string' },
+  help:        { type: 'boolean', short: 'h', default: false },
+};
+
+function fail(message, exitCode = EXIT.FAILED, extra = {}) {
+  throw Object.assign(new Error(message), { exitCode, extra });
+}
+
+// ── Arguments ─────────────────────────────────────────────────────────────────
+function list(value) {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+// Same filter shape as GET /api/search (see storageindex.searchItems)
+function parseFilters(opts) {
+  const filters = {
+    text: opts.q?.trim() || null,
+    types: list(opts.type),
+    rarities: list(opts.rarity),
+    wears: list(opts.wear),
+    minFloat: opts['min-float'] != null ? Number(opts['min-float']) : null,
+    maxFloat: opts['max-float'] != null ? Number(opts['max-float']) : null,
+    stattrak: opts.stattrak != null ? opts.stattrak === 'true' : null,
+    souvenir: opts.souvenir != null ? opts.souvenir === 'true' : null,
+    star: opts.star != null ? opts.star === 'true' : null,
+    phases: list(opts.phase),
+    sticker: opts.sticker?.trim() || null,
+  };
+  for (const key of ['min-float', 'max-float']) {
+    const value = opts[key] != null ? Number(opts[key]) : null;
+    if (value != null && !(value >= 0 && value <= 1)) fail(`--${key} must be a number between 0 and 1`, EXIT.USAGE);
+  }
+  for (const key of ['stattrak', 'souvenir', 'star']) {
+    if (opts[key] != null && opts[key] !== 'true' && opts[key] !== 'false') fail(`--${key} must be true or false`, EXIT.USAGE);
+  }
+  const badPhase = filters.phases.find(p => !storageIndex.PHASE_NAMES.some(n => n.toLowerCase() === p.toLowerCase()));
+  if (badPhase) fail(`Unknown phase ${badPhase} (use ${storageIndex.PHASE_NAMES.join(', ')})`, EXIT.USAGE);
+  const badWear = filters.wears.find(w => !storageIndex.WEAR_SHORT_NAMES.includes(w.toUpperCase()));
+  if (badWear) fail(`Unknown wear ${badWear} (use ${storageIndex.WEAR_SHORT_NAMES.join(', ')})`, EXIT.USAGE);
+  return filters;
+}
+
+function hasFilters(filters) {
+  return !!(filters.text || filters.types.length || filters.rarities.length || filters.wears.length ||
+    filters.minFloat != null || filters.maxFloat != null || filters.stattrak != null ||
+    filters.souvenir != null || filters.star != null || filters.phases.length || filters.sticker);
+}
+
+// ── Login ─────────────────────────────────────────────────────────────────────
+function unlockVault() {
+  try {
+    vault.unlockFromEnv();
+  } catch (err) {
+    fail(`Could not unlock token vault: ${err.message}`, EXIT.LOGIN);
+  }
+  const { locked, error } = vault.vaultStatus();
+  if (error) fail(error, EXIT.LOGIN);
+  if (locked) fail('Token vault is locked (set SKINTOOLS_VAULT_PASSPHRASE)', EXIT.LOGIN);
+}
+
+// Log in with the account's saved token and wait until the GC is reachable
+function connect(accountName, timeoutSec) {
+  const name = accountName ?? tokens.loadTokenFile().active;
+  if (!name) fail('No saved account — log in once through the web UI first', EXIT.LOGIN);
+  if (!(name in (tokens.loadTokenFile().accounts || {}))) fail(`Unknown account: ${name}`, EXIT.NOT_FOUND);
+
+  let session = null;
+  return new Promise((resolve, reject) => {
+    const done = (err) => {
+      clearTimeout(timer);
+      sessions.sessionEvents.off('status', onStatus);
+      if (err) reject(err);
+      else resolve(session);
+    };
+    const onStatus = (s) => {
+      if (s.accountName !== name) return;
+      if (s.status === 'connected') done();
+      else if (s.status === 'steamguard') done(Object.assign(new Error(`${name} needs a Steam Guard code — log in through the web UI`), { exitCode: EXIT.LOGIN }));
+      else if (s.status === 'expired') done(Object.assign(new Error(`${name}: saved login has expired — log in through the web UI`), { exitCode: EXIT.LOGIN }));
+      else if (s.status === 'elsewhere') done(Object.assign(new Error(`${name} is in use on another machine`), { exitCode: EXIT.LOGIN }));
+      else if (s.status.startsWith('error:')) done(Object.assign(new Error(`${name}: ${s.status.slice(6)}`), { exitCode: EXIT.LOGIN }));
+    };
+    const timer = setTimeout(() => {
+      done(Object.assign(new Error(`Timed out waiting for the GC connection (${timeoutSec}s)`), { exitCode: EXIT.LOGIN }));
+    }, timeoutSec * 1000);
+    sessions.sessionEvents.on('status', onStatus);
+    session = sessions.logOnWithToken(name);
+    if (!session) done(Object.assign(new Error(`${name} has no saved token — log in through the web UI`), { exitCode: EXIT.LOGIN }));
+  });
+}
+
+// ── Lookups ───────────────────────────────────────────────────────────────────
+function inventoryItems(session) {
+  return (session.csgo.inventory || [])
+    .filter(i => !isSystemItem(i) && i.casket_id == null && i.casket_contained_item_count == null);
+}
+
+// A storage unit by ID, exact name, or case-insensitive name
+function findUnit(session, ref) {
+  if (!ref) fail('Storage unit name or ID required', EXIT.USAGE);
+  const units = storageUnits(session);
+  const byId = units.find(u => u.id?.toString() === ref);
+  if (byId) return byId;
+  for (const match of [u => u.custom_name === ref, u => u.custom_name?.toLowerCase() === ref.toLowerCase()]) {
+    const found = units.filter(match);
+    if (found.length === 1) return found[0];
+    if (found.length > 1) fail(`Several storage units are named "${ref}" — use its ID`, EXIT.USAGE, { units: found.map(u => u.id.toString()) });
+  }
+  fail(`Storage unit not found: ${ref}`, EXIT.NOT_FOUND);
+}
+
+// Items picked by --ids (all must be among `items`) or by filters
+function selectItems(items, opts) {
+  const ids = list(opts.ids);
+  const filters = parseFilters(opts);
+  if (ids.length && hasFilters(filters)) fail('Use either --ids or filters, not both', EXIT.USAGE);
+  if (ids.length) {
+    const byId = new Map(items.map(i => [i.id, i]));
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length) fail(`Items not found: ${missing.join(', ')}`, EXIT.NOT_FOUND, { missing });
+    return [...new Set(ids)].map(id => byId.get(id));
+  }
+  if (!hasFilters(filters)) fail('Give --ids or at least one filter', EXIT.USAGE);
+  return storageIndex.searchItems(items, filters);
+}
+
+// Wait for a move job to finish, reporting progress on stderr
+async function waitForJob(jobId) {
+  let last = null;
+  for (;;) {
+    const job = jobs.describeJob(jobs.getJob(jobId));
+    const line = `${job.progress.moved + job.progress.failed}/${job.progress.total}`;
+    if (line !== last) console.error(`  ${job.type === 'add' ? 'moving in' : 'moving out'}: ${line}`);
+    last = line;
+    if (!['queued', 'running', 'waiting'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+const COMMANDS = {
+  accounts: {
+    login: false,
+    run() {
+      const data = tokens.loadTokenFile();
+      return {
+        result: {
+          active: data.active || null,
+          accounts: Object.entries(data.accounts || {}).map(([name, token]) => ({ name, hasToken: !!token })),
+        },
+        table: r => r.accounts.map(a => `${a.name === r.active ? '*' : ' '} ${a.name}${a.hasToken ? '' : '  (no token)'}`),
+      };
+    },
+  },
+
+  inventory: {
+    run(session) {
+      const items = inventoryItems(session).map(formatItem);
+      return { result: { count: items.length, items }, table: r => r.items.map(itemLine) };
+    },
+  },
+
+  units: {
+    run(session) {
+      const units = storageUnits(session).map(u => casketCapacity(session, u.id));
+      return {
+        result: { units },
+        table: r => r.units.map(u => `${u.casketId}  ${pad(u.name || '(unnamed)', 22)} ${String(u.count).padStart(4)}/${u.capacity}  ${u.free} free`),
+      };
+    },
+  },
+
+  unit: {
+    async run(session, [ref]) {
+      const unit = findUnit(session, ref);
+      const items = (await casketContents(session, unit.id)).map(formatItem);
+      return {
+        result: { unit: { id: unit.id.toString(), name: unit.custom_name || null }, count: items.length, items },
+        table: r => r.items.map(itemLine),
+      };
+    },
+  },
+
+  search: {
+    async run(session, args, opts) {
+      const filters = parseFilters(opts);
+      const units = storageUnits(session).map(formatItem);
+      await storageIndex.ensureIndexed(session.accountName, units.map(u => u.id));
+      const unitById = new Map(units.map(u => [u.id, u]));
+      const items = storageIndex.searchItems(storageIndex.indexedItems(session.accountName).map(formatItem), filters).map(item => ({
+        ...item,
+        unit: { id: item.casketId, name: unitById.get(item.casketId)?.customName || null },
+      }));
+      return {
+        result: { count: items.length, items },
+        table: r => r.items.map(i => `${itemLine(i)}  [${i.unit.name || i.unit.id}]`),
+      };
+    },
+  },
+
+  'move-in': {
+    async run(session, [ref], opts) {
+      const unit = findUnit(session, ref);
+      const items = selectItems(inventoryItems(session).map(formatItem), opts);
+      if (!items.length) return { result: { moved: 0, unplaced: [] }, table: () => ['Nothing to move'] };
+      const cap = casketCapacity(session, unit.id);
+      if (items.length > cap.free && !opts.fit) {
+        fail(`Storage unit only has room for ${cap.free} more item${cap.free !== 1 ? 's' : ''} (use --fit to move what fits)`, EXIT.FAILED, { requested: items.length, ...cap });
+      }
+      const accepted = items.slice(0, cap.free).map(i => i.id);
+      const unplaced = items.slice(cap.free).map(i => i.id);
+      if (!accepted.length) fail('Storage unit is full', EXIT.FAILED, { requested: items.length, ...cap });
+      return moveResult(await waitForJob(jobs.createMoveJob(session.accountName, 'add', cap.casketId, accepted, { source: 'cli' }).id), unplaced);
+    },
+  },
+
+  'move-out': {
+    async run(session, [ref], opts) {
+      const unit = findUnit(session, ref);
+      const items = selectItems((await casketContents(session, unit.id)).map(formatItem), opts);
+      if (!items.length) return { result: { moved: 0, unplaced: [] }, table: () => ['Nothing to move'] };
+      const job = jobs.createMoveJob(session.accountName, 'remove', unit.id.toString(), items.map(i => i.id), { source: 'cli' });
+      return moveResult(await waitForJob(job.id), []);
+    },
+  },
+
+  export: {
+    async run(session, args, opts) {
+      if (opts.format !== 'csv' && opts.format !== 'json') fail(`Unknown format: ${opts.format}`, EXIT.USAGE);
+      const { items, units } = await collectAllItems(session);
+      const formattedUnits = units.map(formatItem);
+      const rows = exportRows(items.map(formatItem), formattedUnits);
+      const content = opts.format === 'csv' ? toCsv(rows) : JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        account: session.accountName,
+        steamId: session.steamId64,
+        storageUnits: formattedUnits.map(u => ({ id: u.id, name: u.customName, count: u.casketCount })),
+        items: rows,
+      }, null, 2) + '\n';
+      if (!opts.out) return { raw: content };
+      fs.writeFileSync(opts.out, content);
+      return { result: { ok: true, file: opts.out, format: opts.format, count: rows.length }, table: r => [`Exported ${r.count} items to ${r.file}`] };
+    },
+  },
+
+  tradeup: {
+    async run(session, args, opts) {
+      const ids = list(opts.ids);
+      if (!ids.length) fail('--ids required', EXIT.USAGE);
+      const repeated = ids.filter((id, n) => ids.indexOf(id) !== n);
+      if (repeated.length) fail(`Each item can only go into the contract once: ${repeated.join(', ')}`, EXIT.USAGE, { repeated });
+      const byId = new Map(inventoryItems(session).map(i => [i.id?.toString(), i]));
+      const missing = ids.filter(id => !byId.has(id));
+      if (missing.length) fail(`Items not found in inventory: ${missing.join(', ')}`, EXIT.NOT_FOUND, { missing });
+      const calc = tradeup.calculateTradeup(ids.map(id => tradeup.tradeupItem(byId.get(id))));
+      const table = r => [
+        ...r.calculation.outputs.map(o => `${(o.probability * 100).toFixed(2).padStart(6)}%  ${pad(o.name || o.key, 40)} ${o.float != null ? o.float.toFixed(6) : ''} ${o.wear || ''}`),
+        ...r.calculation.warnings.map(w => `warning: ${w}`),
+        ...(r.newItemIds?.length ? [`Crafted: ${r.newItemIds.join(', ')}`]
+          : r.executed ? [`${r.error} — the inputs were kept`] : ['Dry run — pass --yes to perform this trade-up']),
+      ];
+      if (!opts.yes) return { result: { executed: false, calculation: calc }, table };
+      if (calc.warnings.length) fail(`Trade-up not performed: ${calc.warnings.join('; ')}`, EXIT.FAILED, { calculation: calc });
+      const recipeError = tradeup.recipeError(calc.inputRarity);
+      if (recipeError) fail(`Trade-up not performed: ${recipeError}`, EXIT.FAILED, { calculation: calc });
+
+      const { success, newItemIds, record } = await tradeupHistory.performTradeup(session, ids, tradeup.RECIPES[calc.inputRarity], 'cli');
+      // The GC refused the contract and kept the inputs
+      const refused = !success;
+      return {
+        result: { executed: true, calculation: calc, newItemIds: newItemIds.map(String), record, ...(refused ? { error: 'GC refused the contract' } : {}) },
+        exitCode: refused ? EXIT.FAILED : EXIT.OK,
+        table,
+      };
+    },
+  },
+};
+
+function moveResult(job, unplaced) {
+  const result = { ...job, unplaced };
+  const partial = job.status !== 'done' || unplaced.length > 0;
+  return {
+    result,
+    exitCode: partial ? EXIT.FAILED : EXIT.OK,
+    table: r => [
+      `${r.progress.moved} moved, ${r.progress.failed} failed, ${r.progress.cancelled} cancelled`,
+      ...r.items.filter(i => i.status === 'failed').map(i => `  ${i.id}: ${i.error || 'failed'}`),
+      ...(r.unplaced.length ? [`No room for: ${r.unplaced.join(', ')}`] : []),
+    ],
+  };
+}
+
+// ── Output ────────────────────────────────────────────────────────────────────
+function pad(text, width) {
+  text = String(text ?? '');
+  return text.length > width ? text.slice(0, width - 1) + '…' : text.padEnd(width);
+}
+
+function itemLine(item) {
+  const wear = item.wear && item.paintwear != null ? `${item.wear} ${item.paintwear.toFixed(6)}` : '';
+  const prefix = item.souvenir ? 'Souvenir ' : item.stattrak ? 'StatTrak™ ' : '';
+  const name = `${prefix}${item.name || `def ${item.defindex}`}${item.phase ? ` (${item.phase})` : ''}`;
+  return `${item.id}  ${pad(name, 48)} ${wear}`;
+}
+
+function print(json, result, table) {
+  if (json) process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+  else for (const line of table(result)) process.stdout.write(line + '\n');
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    fail(err.message, EXIT.USAGE);
+  }
+  const { values: opts, positionals: [name, ...args] } = parsed;
+  if (opts.help || !name) {
+    process.stdout.write(USAGE + '\n');
+    return opts.help ? EXIT.OK : EXIT.USAGE;
+  }
+  const command = COMMANDS[name];
+  if (!command) fail(`Unknown command: ${name}`, EXIT.USAGE);
+  const timeoutSec = Number(opts.timeout);
+  if (!(timeoutSec > 0)) fail('--timeout must be a positive number of seconds', EXIT.USAGE);
+
+  unlockVault();
+  let session = null;
+  if (command.login !== false) {
+    const connecting = connect(opts.account, timeoutSec);
+    // The cached schema is enough to name items: only wait for the source
+    // (which may be slow or offline) when nothing is cached yet
+    const schema = loadItemSchema();
+    const cached = Object.keys(schemaByType).length > 0;
+    [session] = await Promise.all([connecting, cached ? null : schema]);
+  }
+  const { result, table, raw, exitCode = EXIT.OK } = await command.run(session, args, opts);
+  if (raw != null) process.stdout.write(raw);
+  else print(opts.json, result, table);
+  return exitCode;
+}
+
+main(process.argv.slice(2))
+  .catch(err => {
+    if (process.argv.includes('--json')) process.stdout.write(JSON.stringify({ error: err.message, ...err.extra }, null, 2) + '\n');
+    else console.error(`Error: ${err.message}`);
+    return err.exitCode ?? EXIT.FAILED;
+  })
+  .then(code => {
+    sessions.logOffAll();
+    // Give steam-user a moment to send the log-off before exiting
+    setTimeout(() => process.exit(code), 200);
+  });
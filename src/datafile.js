@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// ── Local data files ──────────────────────────────────────────────────────────
+// Everything SkinTools persists (besides the token file) lives under data/, or
+// SKINTOOLS_DATA_DIR (the tests point it at a temporary directory).
+const DATA_DIR = process.env.SKINTOOLS_DATA_DIR ? path.resolve(process.env.SKINTOOLS_DATA_DIR) : path.join(__dirname, '../data');
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+function readJson(file, fallback) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.warn(`Could not read ${path.relative(DATA_DIR, file)}:`, err.message);
+  }
+  return fallback;
+}
+
+// Write via a temp file so a crash mid-write never leaves half a JSON file behind
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { DATA_DIR, dataPath, readJson, writeJson };
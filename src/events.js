@@ -0,0 +1,36 @@
+// ── Server-Sent Events ────────────────────────────────────────────────────────
+// GET /api/events keeps a response open per browser tab; broadcast() pushes
+// connection state and GC inventory events to all of them.
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+
+// initial: [{ event, data }] sent to this client only, right after connecting
+function addClient(req, res, initial = []) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  for (const { event, data } of initial) send(res, event, data);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  clients.add(res);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+function broadcast(event, data) {
+  for (const res of clients) send(res, event, data);
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = { addClient, broadcast };
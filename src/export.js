@@ -0,0 +1,59 @@
+const { marketHashName } = require('./prices');
+
+// ── Export ────────────────────────────────────────────────────────────────────
+// Flat rows for every item in the inventory and all storage units.
+const COLUMNS = [
+  'id', 'name', 'marketHashName', 'location', 'casketId', 'type', 'rarity', 'wear', 'float', 'seed', 'phase', 'quality',
+  'stattrak', 'stattrakCount', 'souvenir', 'customName', 'stickers', 'keychains',
+  'tradeLocked', 'tradableAfter', 'defindex', 'paintindex',
+];
+
+// items: formatted items; units: formatted storage units
+function exportRows(items, units) {
+  const unitNames = new Map(units.map(u => [u.id, u.customName || `Storage Unit ${u.id}`]));
+  return items.map(item => ({
+    id: item.id,
+    name: item.name,
+    marketHashName: marketHashName(item),
+    location: item.casketId ? unitNames.get(item.casketId) || `Storage Unit ${item.casketId}` : 'Inventory',
+    casketId: item.casketId,
+    type: item.type,
+    rarity: item.rarity,
+    wear: item.wearName,
+    float: item.paintwear,
+    seed: item.paintseed,
+    phase: item.phase,
+    quality: item.quality,
+    stattrak: item.stattrak,
+    stattrakCount: item.stattrakValue,
+    souvenir: item.souvenir,
+    customName: item.customName,
+    stickers: appliedList([...item.stickers, ...item.patches]),
+    keychains: appliedList(item.keychains),
+    tradeLocked: item.tradeLocked,
+    tradableAfter: item.tradableAfter,
+    defindex: item.defindex,
+    paintindex: item.paintindex,
+  }));
+}
+
+// "Slot 0: Name; Slot 2: Name" — one cell per item
+function appliedList(list) {
+  return list.length ? list.map(s => `${s.slot != null ? `Slot ${s.slot}: ` : ''}${s.name || `#${s.id}`}`).join('; ') : null;
+}
+
+function toCsv(rows, columns = COLUMNS) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvField(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function csvField(value) {
+  if (value == null) return '';
+  let s = String(value);
+  // Keep spreadsheets from evaluating custom names like "=HYPERLINK(...)"
+  if (/^[=+\-@\t\r]/.test(s) && typeof value === 'string') s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+module.exports = { COLUMNS, exportRows, toCsv };
@@ -0,0 +1,127 @@
+const jobs = require('./jobs');
+const storageIndex = require('./storageindex');
+const { lookupSchema, localizedName } = require('./schema');
+const { suggestOverride } = require('./overrides');
+const { itemDetails } = require('./itemdetails');
+
+// ── Inventory helpers ─────────────────────────────────────────────────────────
+// Shared by the HTTP server and the CLI. `session` is a sessions.js session.
+
+// Non-economy items the inventory routes never show
+function isSystemItem(item) {
+  return !!(item.flags & 8) || item.origin === 0;
+}
+
+function storageUnits(session) {
+  return (session.csgo?.inventory || []).filter(i => i.casket_contained_item_count != null);
+}
+
+// Returns null if casketId isn't one of our storage units
+function casketCapacity(session, casketId) {
+  const casket = storageUnits(session).find(i => i.id?.toString() === String(casketId));
+  if (!casket) return null;
+  const count = casket.casket_contained_item_count;
+  const reserved = jobs.reservedSlots(casketId);
+  return {
+    casketId: String(casketId),
+    name: casket.custom_name || null,
+    count,
+    reserved,
+    free: Math.max(0, jobs.STORAGE_UNIT_CAPACITY - count - reserved),
+    capacity: jobs.STORAGE_UNIT_CAPACITY,
+  };
+}
+
+// Loading a unit also refreshes its entry in the search index
+function casketContents(session, casketId) {
+  return storageIndex.loadCasket(session.accountName, casketId);
+}
+
+// Inventory items plus the contents of every storage unit (loaded from the GC as needed)
+async function collectAllItems(session) {
+  const all = (session.csgo.inventory || []).filter(i => !(i.flags & 8) && i.origin !== 0);
+  const units = all.filter(i => i.casket_contained_item_count != null);
+  const items = all.filter(i => i.casket_id == null && i.casket_contained_item_count == null);
+  for (const unit of units) items.push(...await casketContents(session, unit.id));
+  return { items, units };
+}
+
+// Skins that can go into a trade-up: in the inventory (not a storage unit) and not trade-locked
+function tradeupEligible(session) {
+  const now = new Date();
+  return (session.csgo?.inventory || []).filter(i =>
+    !isSystemItem(i) &&
+    i.casket_id == null &&
+    i.casket_contained_item_count == null &&
+    i.paint_index != null && i.paint_index !== 0 &&
+    !(i.tradable_after && i.tradable_after > now)
+  );
+}
+
+// ── Item formatter ────────────────────────────────────────────────────────────
+function formatItem(item) {
+  const id = item.id?.toString();
+  const schema = lookupSchema(item) || {};
+  const now = new Date();
+  const tradableAfter = item.tradable_after ? new Date(item.tradable_after) : null;
+  return {
+    id,
+    defindex: item.def_index,
+    paintindex: item.paint_index,
+    paintwear: item.paint_wear ?? null,
+    paintseed: item.paint_seed ?? null,
+    customName: item.custom_name || null,
+    casketId: item.casket_id?.toString() || null,
+    casketCount: item.casket_contained_item_count ?? null,
+    stattrak: item.kill_eater_value !== undefined,
+    stattrakValue: item.kill_eater_value ?? null,
+    name: localizedName(item) || schema.name || null, // in the active language
+    marketName: schema.name || null,                  // always English
+    iconUrl: schema.iconUrl || null,
+    type: schema.type || null,
+    rarity: schema.rarity || null,
+    tradeLocked: tradableAfter ? tradableAfter > now : false,
+    tradableAfter: tradableAfter ? tradableAfter.toISOString() : null,
+    ...itemDetails(item, schema),
+  };
+}
+
+// ── Unknown items ─────────────────────────────────────────────────────────────
+// Raw GC items that neither the schema nor an override can name, grouped by the
+// override that would match them, each with that override as a starting point.
+function unknownItemReport(items) {
+  const groups = new Map();
+  for (const item of items) {
+    if (isSystemItem(item) || lookupSchema(item)) continue;
+    const suggestedOverride = suggestOverride(item);
+    const key = JSON.stringify(suggestedOverride.match);
+    if (!groups.has(key)) groups.set(key, { count: 0, itemIds: [], example: rawFields(item), suggestedOverride });
+    const group = groups.get(key);
+    group.count++;
+    group.itemIds.push(item.id?.toString());
+  }
+  const list = [...groups.values()].sort((a, b) => b.count - a.count);
+  return { total: list.reduce((n, g) => n + g.count, 0), groups: list };
+}
+
+// The GC fields that help identify an item
+function rawFields(item) {
+  return {
+    id: item.id?.toString(),
+    def_index: item.def_index,
+    paint_index: item.paint_index ?? null,
+    rarity: item.rarity ?? null,
+    quality: item.quality ?? null,
+    origin: item.origin ?? null,
+    flags: item.flags ?? null,
+    casket_id: item.casket_id?.toString() || null,
+    custom_name: item.custom_name || null,
+    attribute: (item.attribute || []).map(a => ({ def_index: a.def_index, value: a.value ?? null })),
+    stickers: item.stickers || [],
+  };
+}
+
+module.exports = {
+  isSystemItem, storageUnits, casketCapacity, casketContents, collectAllItems, tradeupEligible, formatItem,
+  unknownItemReport,
+};
@@ -0,0 +1,71 @@
+const { schemaByType, localName } = require('./schema');
+const { wearTier } = require('./tradeup');
+
+// ── Item details ──────────────────────────────────────────────────────────────
+// What formatItem adds on top of the schema name: wear tier, quality (★ /
+// StatTrak™ / Souvenir), Doppler phase and what's applied to the item — stickers
+// on weapons, patches on agents, charms (keychains) — named through the schema maps.
+
+// GC quality ids
+const QUALITY_UNUSUAL = 3;     // ★ knives and gloves
+const QUALITY_TOURNAMENT = 12; // souvenirs
+
+// Doppler-family finishes: the phase is its own paint index
+const PHASES = {
+  // Doppler
+  415: 'Ruby', 416: 'Sapphire', 417: 'Black Pearl',
+  418: 'Phase 1', 419: 'Phase 2', 420: 'Phase 3', 421: 'Phase 4',
+  // Doppler on the later knives
+  617: 'Black Pearl', 618: 'Phase 2', 619: 'Sapphire',
+  852: 'Phase 1', 853: 'Phase 2', 854: 'Phase 3', 855: 'Phase 4',
+  // Gamma Doppler
+  568: 'Emerald', 569: 'Phase 1', 570: 'Phase 2', 571: 'Phase 3', 572: 'Phase 4',
+  // Glock-18 Gamma Doppler
+  1119: 'Emerald', 1120: 'Phase 1', 1121: 'Phase 2', 1122: 'Phase 3', 1123: 'Phase 4',
+};
+const PHASE_NAMES = [...new Set(Object.values(PHASES))];
+
+// item: raw GC item; schema: what lookupSchema found for it (or {})
+function itemDetails(item, schema) {
+  const painted = item.paint_index != null && item.paint_index !== 0;
+  const tier = painted ? wearTier(item.paint_wear) : null;
+  const stattrak = item.kill_eater_value !== undefined;
+  const souvenir = item.quality === QUALITY_TOURNAMENT;
+  const star = item.quality === QUALITY_UNUSUAL || !!schema.special || !!schema.name?.startsWith('★');
+  const quality = [star && '★', stattrak && 'StatTrak™', souvenir && 'Souvenir'].filter(Boolean).join(' ') || null;
+  return {
+    wear: tier?.short || null,
+    wearName: tier?.name || null,
+    quality,
+    souvenir,
+    star,
+    phase: painted ? PHASES[item.paint_index] || null : null,
+    // Agents carry patches in the same sticker slots weapons use for stickers
+    stickers: schema.type === 'skin' ? applied(item.stickers, 'sticker') : [],
+    patches: schema.type === 'agent' ? applied(item.stickers, 'patch') : [],
+    keychains: schema.type === 'skin' ? applied(item.keychains, 'keychain') : [],
+  };
+}
+
+// type: the schema map the applied ids come from
+function applied(list, type) {
+  return (list || []).map(s => {
+    const key = String(s.sticker_id);
+    const entry = schemaByType[type]?.[key];
+    return {
+      slot: s.slot ?? null,
+      id: s.sticker_id ?? null,
+      name: (entry && localName(type, key)) || entry?.name || null,
+      iconUrl: entry?.iconUrl || null,
+      wear: s.wear ?? null,
+      ...(s.pattern != null ? { pattern: s.pattern } : {}),
+    };
+  });
+}
+
+// Names of everything applied to a formatted item
+function appliedNames(item) {
+  return [...(item.stickers || []), ...(item.patches || []), ...(item.keychains || [])].map(s => s.name).filter(Boolean);
+}
+
+module.exports = { PHASES, PHASE_NAMES, itemDetails, appliedNames };
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// ── Move jobs ─────────────────────────────────────────────────────────────────
+// Bulk casket moves run as tracked jobs. Items are sent to the GC one at a time
+// and only count as moved once the GC echoes the casket change back through
+// itemChanged / itemRemoved / itemAcquired. Unconfirmed items are retried.
+// While the GC is unreachable a running job waits (status 'waiting') and picks
+// up where it left off once the account reconnects; tries cut short by the
+// disconnect don't count against the item. Logging the account off on purpose
+// cancels its jobs instead (see sessions.logOff).
+//
+// jobEvents emits 'created' and 'finished' (job) for the audit log (see auditlog.js).
+const SEND_INTERVAL_MS = 300;     // minimum gap between GC requests
+const CONFIRM_TIMEOUT_MS = 10000; // how long to wait for the GC to confirm one item
+const MAX_ATTEMPTS = 3;
+const JOB_TTL_MS = 60 * 60 * 1000; // finished jobs are forgotten after an hour
+const STORAGE_UNIT_CAPACITY = 1000;
+
+const jobs = new Map();    // jobId → job
+const runners = new Map(); // account → { gc, queue, running, resume }; each account moves its own items
+const awaiting = new Map(); // itemId → { direction, casketId, gc, resolve, reject }
+const jobEvents = new EventEmitter();
+
+function runnerFor(account) {
+  if (!runners.has(account)) runners.set(account, { gc: null, queue: [], running: false, resume: null });
+  return runners.get(account);
+}
+
+// Hook GC item events so pending moves can be confirmed. Called for every new
+// GlobalOffensive instance (see sessions.js).
+function attachGC(account, csgo) {
+  const runner = runnerFor(account);
+  runner.gc = csgo;
+  csgo.on('connectedToGC', () => {
+    if (runner.gc === csgo) runner.resume?.();
+  });
+  // Confirmations can't arrive any more; the item is checked again after reconnecting
+  csgo.on('disconnectedFromGC', () => {
+    for (const wait of [...awaiting.values()]) {
+      if (wait.gc === csgo) wait.reject(new Error('Lost connection to GC'));
+    }
+  });
+  csgo.on('itemChanged', (oldItem, item) => {
+    const id = item?.id?.toString();
+    const wait = awaiting.get(id);
+    if (!wait) return;
+    const casketId = item.casket_id?.toString() || null;
+    if (wait.direction === 'add' && casketId === wait.casketId) wait.resolve();
+    if (wait.direction === 'remove' && casketId == null) wait.resolve();
+  });
+  // Items put into a casket whose contents aren't loaded leave the inventory entirely
+  csgo.on('itemRemoved', (item) => {
+    const wait = awaiting.get(item?.id?.toString());
+    if (wait?.direction === 'add') wait.resolve();
+  });
+  // ...and come back as new items when taken out again
+  csgo.on('itemAcquired', (item) => {
+    const wait = awaiting.get(item?.id?.toString());
+    if (wait?.direction === 'remove' && item.casket_id == null) wait.resolve();
+  });
+}
+
+// direction: 'add' (inventory → casket) or 'remove' (casket → inventory)
+// source: what asked for the move, for the audit log; operationId groups the jobs
+// of one request (a distribute, an organize run) into one operation there.
+function createMoveJob(account, direction, casketId, itemIds, { source = null, operationId = null } = {}) {
+  const id = crypto.randomUUID();
+  const job = {
+    id,
+    account,
+    type: direction,
+    casketId: String(casketId),
+    source,
+    operationId: operationId || id,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    cancelRequested: false,
+    items: [...new Set(itemIds.map(String))].map(id => ({ id, status: 'pending', attempts: 0, error: null })),
+  };
+  jobs.set(job.id, job);
+  jobEvents.emit('created', job);
+  runnerFor(account).queue.push(job);
+  runQueue(account);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// account: only that account's jobs
+function listJobs(account) {
+  return [...jobs.values()].filter(job => account == null || job.account === account);
+}
+
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (job.status === 'queued' || job.status === 'running' || job.status === 'waiting') job.cancelRequested = true;
+  if (job.status === 'waiting') runnerFor(job.account).resume?.();
+  if (job.status === 'queued') {
+    const { queue } = runnerFor(job.account);
+    queue.splice(queue.indexOf(job), 1);
+    finishJob(job);
+  }
+  return job;
+}
+
+// The account was logged off on purpose: nothing would ever resume its jobs
+function cancelAccountJobs(account) {
+  for (const job of listJobs(account)) cancelJob(job.id);
+}
+
+// Net number of slots that unfinished jobs will still take up in a casket
+// (queued adds minus queued removes), so back-to-back requests can't overbook it.
+function reservedSlots(casketId) {
+  let reserved = 0;
+  for (const job of jobs.values()) {
+    if (job.casketId !== String(casketId) || !['queued', 'running', 'waiting'].includes(job.status)) continue;
+    const open = job.items.filter(i => i.status === 'pending' || i.status === 'sent').length;
+    reserved += job.type === 'add' ? open : -open;
+  }
+  return reserved;
+}
+
+// Public shape for the API: drop internals, add counts
+function describeJob(job) {
+  const progress = { total: job.items.length, moved: 0, failed: 0, cancelled: 0, pending: 0 };
+  for (const item of job.items) {
+    if (item.status === 'moved') progress.moved++;
+    else if (item.status === 'failed') progress.failed++;
+    else if (item.status === 'cancelled') progress.cancelled++;
+    else progress.pending++;
+  }
+  const { cancelRequested, ...rest } = job;
+  return { ...rest, progress };
+}
+
+// ── Runner ────────────────────────────────────────────────────────────────────
+async function runQueue(account) {
+  const runner = runnerFor(account);
+  if (runner.running) return;
+  runner.running = true;
+  try {
+    while (runner.queue.length) {
+      const job = runner.queue.shift();
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      for (const item of job.items) {
+        if (job.cancelRequested) break;
+        await moveItem(runner, job, item);
+      }
+      finishJob(job);
+    }
+  } finally {
+    runner.running = false;
+  }
+}
+
+async function moveItem(runner, job, item) {
+  let sent = false;
+  while (item.status !== 'moved' && item.attempts < MAX_ATTEMPTS && !job.cancelRequested) {
+    await waitForGC(runner, job);
+    if (job.cancelRequested) break;
+    // Already where we want it (e.g. a retry whose first attempt landed late)
+    const current = runner.gc?.inventory?.find(i => i.id?.toString() === item.id);
+    if (job.type === 'add' && current?.casket_id?.toString() === job.casketId) { item.status = 'moved'; break; }
+    if (job.type === 'remove' && current && current.casket_id == null) { item.status = 'moved'; break; }
+    if (job.type === 'add' && !current) {
+      // Gone after an earlier attempt means it went into the (unloaded) casket
+      if (sent) { item.status = 'moved'; break; }
+      item.status = 'failed';
+      item.error = 'Item not in inventory';
+      return;
+    }
+    if (job.type === 'add' && casketItemCount(runner.gc, job.casketId) >= STORAGE_UNIT_CAPACITY) {
+      item.status = 'failed';
+      item.error = 'Storage unit is full';
+      return;
+    }
+
+    item.attempts++;
+    item.status = 'sent';
+    sent = true;
+    const started = Date.now();
+    try {
+      await sendAndConfirm(runner.gc, job.type, job.casketId, item.id);
+      item.status = 'moved';
+      item.error = null;
+    } catch (err) {
+      item.status = 'pending';
+      item.error = err.message;
+      if (!runner.gc?.haveGCSession) item.attempts--;
+    }
+    await sleep(Math.max(0, SEND_INTERVAL_MS - (Date.now() - started)));
+  }
+  if (item.status !== 'moved') item.status = job.cancelRequested ? 'cancelled' : 'failed';
+}
+
+// Hold the job while the GC is away; the runner's GC may be a new one by the time it's back
+function waitForGC(runner, job) {
+  if (runner.gc?.haveGCSession || job.cancelRequested) return Promise.resolve();
+  job.status = 'waiting';
+  return new Promise(resolve => {
+    runner.resume = () => {
+      runner.resume = null;
+      job.status = 'running';
+      resolve();
+    };
+  }).then(() => waitForGC(runner, job));
+}
+
+function sendAndConfirm(gc, direction, casketId, itemId) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      awaiting.delete(itemId);
+      reject(new Error('Timed out waiting for GC confirmation'));
+    }, CONFIRM_TIMEOUT_MS);
+    awaiting.set(itemId, {
+      direction,
+      casketId,
+      gc,
+      resolve: () => { clearTimeout(timeout); awaiting.delete(itemId); resolve(); },
+      reject: (err) => { clearTimeout(timeout); awaiting.delete(itemId); reject(err); },
+    });
+    try {
+      if (!gc) throw new Error('Not connected to GC');
+      if (direction === 'add') gc.addToCasket(casketId, itemId);
+      else gc.removeFromCasket(casketId, itemId);
+    } catch (err) {
+      clearTimeout(timeout);
+      awaiting.delete(itemId);
+      reject(err);
+    }
+  });
+}
+
+function finishJob(job) {
+  for (const item of job.items) {
+    if (item.status === 'pending') item.status = 'cancelled';
+  }
+  const failed = job.items.some(i => i.status === 'failed');
+  job.status = job.cancelRequested ? 'cancelled' : failed ? 'failed' : 'done';
+  job.finishedAt = new Date().toISOString();
+  jobEvents.emit('finished', job);
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+function casketItemCount(gc, casketId) {
+  const casket = gc?.inventory?.find(i => i.id?.toString() === casketId);
+  return casket?.casket_contained_item_count ?? 0;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  STORAGE_UNIT_CAPACITY, jobEvents,
+  attachGC, createMoveJob, getJob, listJobs, cancelJob, cancelAccountJobs, describeJob, reservedSlots,
+};
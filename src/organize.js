@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./datafile');
+const { STORAGE_UNIT_CAPACITY } = require('./jobs');
+
+// ── Auto-organize rules ───────────────────────────────────────────────────────
+// Rules are checked in order and the first match decides where an item belongs.
+// File format: { rules: [{ name, match: { field: condition, ... }, target }] }
+//
+// match fields are formatItem fields: type, name, marketName, rarity, stattrak,
+// stattrakValue, tradeLocked, customName, defindex, paintindex, wear (FN/MW/…),
+// quality, souvenir, star, phase. name is in the display language; marketName is
+// always English, so rules that use it keep working when the language changes.
+// A condition is one of:
+//   "Cases" / true / 42        equal (strings compare case-insensitively)
+//   ["crate", "key"]           any of
+//   { contains: "Doppler" }    substring (case-insensitive)
+//   { regex: "^Sticker \\|" }  regular expression (case-insensitive)
+//   { min: 1000, max: 5000 }   numeric range, both ends optional and inclusive
+//
+// target is { inventory: true } or { units: ["Stickers 1", "Stickers 2"] }; units
+// are storage unit names, filled in the order listed.
+const RULES_FILE = dataPath('organize-rules.json');
+const MATCH_FIELDS = [
+  'type', 'name', 'marketName', 'rarity', 'stattrak', 'stattrakValue', 'tradeLocked', 'customName', 'defindex', 'paintindex',
+  'wear', 'quality', 'souvenir', 'star', 'phase',
+];
+const INVENTORY_CAPACITY = 1000;
+const PLAN_TTL_MS = 30 * 60 * 1000;
+
+const plans = new Map(); // planId → plan, kept so /execute runs exactly what was previewed
+
+function loadRules() {
+  return readJson(RULES_FILE, { rules: [] }).rules || [];
+}
+
+function saveRules(rules) {
+  writeJson(RULES_FILE, { rules });
+}
+
+// Returns a list of problems; empty means the rules are usable
+function validateRules(rules) {
+  if (!Array.isArray(rules)) return ['rules must be an array'];
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const label = `rule ${i + 1}${rule?.name ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule !== 'object') return errors.push(`${label}: must be an object`);
+    if (!rule.match || typeof rule.match !== 'object' || !Object.keys(rule.match).length) {
+      errors.push(`${label}: match must be a non-empty object`);
+    } else {
+      for (const [field, cond] of Object.entries(rule.match)) {
+        if (!MATCH_FIELDS.includes(field)) errors.push(`${label}: unknown match field "${field}"`);
+        if (cond?.regex != null) {
+          try { new RegExp(cond.regex); } catch { errors.push(`${label}: invalid regex for "${field}"`); }
+        }
+      }
+    }
+    const t = rule.target;
+    const validTarget = t && (t.inventory === true ||
+      (Array.isArray(t.units) && t.units.length && t.units.every(u => typeof u === 'string' && u)));
+    if (!validTarget) errors.push(`${label}: target must be { inventory: true } or { units: [names] }`);
+  });
+  return errors;
+}
+
+function matchCondition(value, cond) {
+  if (Array.isArray(cond)) return cond.some(c => matchCondition(value, c));
+  if (cond !== null && typeof cond === 'object') {
+    if (cond.contains != null) return typeof value === 'string' && value.toLowerCase().includes(String(cond.contains).toLowerCase());
+    if (cond.regex != null) return typeof value === 'string' && new RegExp(cond.regex, 'i').test(value);
+    if (value == null || typeof value !== 'number') return false;
+    if (cond.min != null && value < cond.min) return false;
+    if (cond.max != null && value > cond.max) return false;
+    return true;
+  }
+  if (typeof cond === 'string' && typeof value === 'string') return value.toLowerCase() === cond.toLowerCase();
+  return value === cond;
+}
+
+function findRule(item, rules) {
+  return rules.find(rule => Object.entries(rule.match).every(([field, cond]) => matchCondition(item[field], cond))) || null;
+}
+
+// ── Planning ──────────────────────────────────────────────────────────────────
+// items: formatted items (casketId null = in inventory); units: formatted storage units.
+// Returns moves needed to satisfy the rules. Casket-to-casket moves go via the
+// inventory, so they appear as a remove step plus an add step.
+function buildPlan(items, units, rules) {
+  const unitsByName = new Map();
+  for (const unit of units) {
+    const key = (unit.customName || '').toLowerCase();
+    if (key && !unitsByName.has(key)) unitsByName.set(key, unit);
+  }
+  const unitName = (casketId) => units.find(u => u.id === casketId)?.customName || null;
+  const counts = new Map(units.map(u => [u.id, u.casketCount ?? 0]));
+  let inventoryCount = items.filter(i => i.casketId == null).length + units.length;
+
+  const moves = [];
+  const warnings = [];
+  const unplaced = [];
+  const missingUnits = new Set();
+  const wanted = []; // { item, rule, targetIds } for items that need to go into a unit
+  let matched = 0;
+
+  for (const item of items) {
+    const rule = findRule(item, rules);
+    if (!rule) continue;
+    matched++;
+    if (rule.target.inventory) {
+      if (item.casketId != null) {
+        moves.push(moveEntry(item, rule, item.casketId, null));
+        counts.set(item.casketId, counts.get(item.casketId) - 1);
+        inventoryCount++;
+      }
+      continue;
+    }
+    const targetIds = [];
+    for (const name of rule.target.units) {
+      const unit = unitsByName.get(name.toLowerCase());
+      if (unit) targetIds.push(unit.id); else missingUnits.add(name);
+    }
+    if (!targetIds.length) { unplaced.push({ itemId: item.id, name: item.name, rule: rule.name || null, reason: 'No matching storage unit' }); continue; }
+    if (targetIds.includes(item.casketId)) continue; // already in one of its units
+    wanted.push({ item, rule, targetIds });
+  }
+
+  // Items leaving a storage unit are placed first so the slots they free up
+  // can be reused by items coming from the inventory
+  wanted.sort((a, b) => (a.item.casketId == null) - (b.item.casketId == null));
+  for (const { item, rule, targetIds } of wanted) {
+    const target = targetIds.find(id => counts.get(id) < STORAGE_UNIT_CAPACITY);
+    if (!target) { unplaced.push({ itemId: item.id, name: item.name, rule: rule.name || null, reason: 'Target storage units are full' }); continue; }
+    if (item.casketId != null) {
+      moves.push(moveEntry(item, rule, item.casketId, null));
+      counts.set(item.casketId, counts.get(item.casketId) - 1);
+    } else {
+      inventoryCount--;
+    }
+    moves.push(moveEntry(item, rule, null, target));
+    counts.set(target, counts.get(target) + 1);
+  }
+
+  // Removals run before additions, so the inventory peaks once they're all done
+  const peak = items.filter(i => i.casketId == null).length + units.length +
+    moves.filter(m => m.to == null).length;
+  if (peak > INVENTORY_CAPACITY) warnings.push(`Inventory would temporarily hold ${peak} items (limit ${INVENTORY_CAPACITY})`);
+  for (const name of missingUnits) warnings.push(`No storage unit named "${name}"`);
+
+  for (const move of moves) {
+    move.fromName = move.from ? unitName(move.from) : null;
+    move.toName = move.to ? unitName(move.to) : null;
+  }
+
+  const plan = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    moves,
+    unplaced,
+    warnings,
+    summary: {
+      itemsScanned: items.length,
+      itemsMatched: matched,
+      removes: moves.filter(m => m.to == null).length,
+      adds: moves.filter(m => m.to != null).length,
+      unplaced: unplaced.length,
+      inventoryAfter: inventoryCount,
+      unitsAfter: Object.fromEntries(units.map(u => [u.id, counts.get(u.id)])),
+    },
+  };
+  plans.set(plan.id, plan);
+  setTimeout(() => plans.delete(plan.id), PLAN_TTL_MS).unref();
+  return plan;
+}
+
+function moveEntry(item, rule, from, to) {
+  return { itemId: item.id, name: item.name, rule: rule.name || null, from, to };
+}
+
+// Plans are single-use: executing one removes it
+function takePlan(id) {
+  const plan = plans.get(id) || null;
+  plans.delete(id);
+  return plan;
+}
+
+// Group a plan's moves into bulk operations, removals first
+function planBatches(plan) {
+  const removes = new Map();
+  const adds = new Map();
+  for (const move of plan.moves) {
+    const [map, casketId] = move.to == null ? [removes, move.from] : [adds, move.to];
+    if (!map.has(casketId)) map.set(casketId, []);
+    map.get(casketId).push(move.itemId);
+  }
+  return [
+    ...[...removes].map(([casketId, itemIds]) => ({ direction: 'remove', casketId, itemIds })),
+    ...[...adds].map(([casketId, itemIds]) => ({ direction: 'add', casketId, itemIds })),
+  ];
+}
+
+module.exports = { loadRules, saveRules, validateRules, findRule, buildPlan, takePlan, planBatches };
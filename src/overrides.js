@@ -0,0 +1,110 @@
+const { dataPath, readJson, writeJson } = require('./datafile');
+
+// ── Item overrides ────────────────────────────────────────────────────────────
+// Names and icons for items the ByMykel schema gets wrong or doesn't know. They
+// are checked before the schema, so an override always wins; the first match applies.
+// File format (data/item-overrides.json): { overrides: [{ match, name, iconUrl?, type?, rarity? }] }
+//
+// match fields are raw GC item fields, and every one given must match:
+//   def_index, paint_index, rarity, quality   a number (or null), or a list of them (any of)
+//   attributes                                 attribute def_indexes the item must all have
+//
+// The built-in entries below come after the file's, so the file can override them too.
+const OVERRIDES_FILE = dataPath('item-overrides.json');
+const MATCH_FIELDS = ['def_index', 'paint_index', 'rarity', 'quality', 'attributes'];
+
+// Veteran coins and the loyalty badge share def_indexes with sticker slabs and
+// graffiti in ByMykel's data; rarity 1 and the years-of-service attribute (277)
+// tell them apart.
+const BUILT_IN_OVERRIDES = [
+  { match: { def_index: 4950, rarity: 1, attributes: [277] }, type: 'collectible', name: '10 Year Veteran Coin' },
+  { match: { def_index: 4950, rarity: 1 }, type: 'collectible', name: '5 Year Veteran Coin' },
+  { match: { def_index: 1348, rarity: 1, attributes: [277] }, type: 'collectible', name: 'Loyalty Badge' },
+];
+
+let overrides = null; // the file's entries, loaded on first use
+
+function loadOverrides() {
+  if (!overrides) overrides = readJson(OVERRIDES_FILE, { overrides: [] }).overrides || [];
+  return overrides;
+}
+
+// Re-read the file after editing it by hand
+function reloadOverrides() {
+  overrides = null;
+  return loadOverrides();
+}
+
+function saveOverrides(list) {
+  writeJson(OVERRIDES_FILE, { overrides: list });
+  overrides = list;
+}
+
+function isMatchValue(v) {
+  return v === null || Number.isInteger(v);
+}
+
+// Returns a list of problems; empty means the overrides are usable
+function validateOverrides(list) {
+  if (!Array.isArray(list)) return ['overrides must be an array'];
+  const errors = [];
+  list.forEach((entry, i) => {
+    const label = `override ${i + 1}${entry?.name ? ` (${entry.name})` : ''}`;
+    if (!entry || typeof entry !== 'object') return errors.push(`${label}: must be an object`);
+    if (!entry.match || typeof entry.match !== 'object' || !Object.keys(entry.match).length) {
+      errors.push(`${label}: match must be a non-empty object`);
+    } else {
+      for (const [field, cond] of Object.entries(entry.match)) {
+        if (!MATCH_FIELDS.includes(field)) errors.push(`${label}: unknown match field "${field}"`);
+        else if (field === 'attributes') {
+          if (!Array.isArray(cond) || !cond.every(Number.isInteger)) errors.push(`${label}: attributes must be a list of attribute def_indexes`);
+        } else if (!(isMatchValue(cond) || (Array.isArray(cond) && cond.length && cond.every(isMatchValue)))) {
+          errors.push(`${label}: ${field} must be a number or a list of numbers`);
+        }
+      }
+    }
+    if (typeof entry.name !== 'string' || !entry.name.trim()) errors.push(`${label}: name is required`);
+    for (const field of ['iconUrl', 'type', 'rarity']) {
+      if (entry[field] != null && typeof entry[field] !== 'string') errors.push(`${label}: ${field} must be a string`);
+    }
+  });
+  return errors;
+}
+
+function matches(item, match) {
+  return Object.entries(match).every(([field, cond]) => {
+    if (field === 'attributes') return cond.every(def => item.attribute?.some(a => a.def_index === def));
+    const value = item[field] ?? null;
+    return Array.isArray(cond) ? cond.includes(value) : value === cond;
+  });
+}
+
+// Schema-style entry for a raw GC item, or null if no override matches
+function resolveOverride(item) {
+  const entry = [...loadOverrides(), ...BUILT_IN_OVERRIDES].find(o => matches(item, o.match));
+  if (!entry) return null;
+  return { type: entry.type || 'other', name: entry.name, iconUrl: entry.iconUrl || null, rarity: entry.rarity || null };
+}
+
+// A starting override for an item nothing resolves: matches items just like it,
+// with the name (and ideally an icon) left to fill in
+function suggestOverride(item) {
+  const attributes = [...new Set((item.attribute || []).map(a => a.def_index))].sort((a, b) => a - b);
+  return {
+    match: {
+      def_index: item.def_index,
+      ...(item.paint_index ? { paint_index: item.paint_index } : {}),
+      rarity: item.rarity ?? null,
+      quality: item.quality ?? null,
+      ...(attributes.length ? { attributes } : {}),
+    },
+    name: null,
+    iconUrl: null,
+    type: item.paint_index ? 'skin' : 'other',
+  };
+}
+
+module.exports = {
+  BUILT_IN_OVERRIDES,
+  loadOverrides, reloadOverrides, saveOverrides, validateOverrides, resolveOverride, suggestOverride,
+};
@@ -0,0 +1,226 @@
+const { dataPath, readJson, writeJson } = require('./datafile');
+const { wearTier } = require('./tradeup');
+
+// ── Prices ────────────────────────────────────────────────────────────────────
+// Prices are keyed by Steam market_hash_name ("StatTrak™ AK-47 | Redline (Field-Tested)").
+// They come from price providers, checked in priority order (lowest first):
+//
+//   registerPriceProvider({ name: 'my-source', priority: 50, load: async () => ({ [marketHashName]: price }) })
+//
+// load() is called on startup and by reloadPrices(); the first provider that has a
+// price for a name wins. The built-in 'local' provider serves data/prices.json,
+// which importPrices() fills from a JSON or CSV price list.
+const PRICE_FILE = dataPath('prices.json');
+
+const providers = [];
+let merged = new Map();  // market_hash_name → { price, source }
+let currency = 'USD';
+let status = { loadedAt: null, providers: [] };
+
+function registerPriceProvider(provider) {
+  if (!provider?.name || typeof provider.load !== 'function') throw new Error('Price provider needs a name and a load() function');
+  const i = providers.findIndex(p => p.name === provider.name);
+  if (i >= 0) providers.splice(i, 1);
+  providers.push({ priority: 100, ...provider });
+  providers.sort((a, b) => a.priority - b.priority);
+}
+
+async function reloadPrices() {
+  const next = new Map();
+  const report = [];
+  for (const provider of providers) {
+    try {
+      const prices = await provider.load();
+      let count = 0;
+      for (const [name, price] of Object.entries(prices || {})) {
+        if (typeof price !== 'number' || !isFinite(price)) continue;
+        count++;
+        if (!next.has(name)) next.set(name, { price, source: provider.name });
+      }
+      report.push({ name: provider.name, priority: provider.priority, count, error: null });
+    } catch (err) {
+      report.push({ name: provider.name, priority: provider.priority, count: 0, error: err.message });
+    }
+  }
+  merged = next;
+  status = { loadedAt: new Date().toISOString(), providers: report };
+  return status;
+}
+
+function priceStatus() {
+  return { ...status, currency, count: merged.size };
+}
+
+// ── Local price file ──────────────────────────────────────────────────────────
+// File format: { currency, importedAt, prices: { market_hash_name: price } }
+registerPriceProvider({
+  name: 'local',
+  priority: 10,
+  load: async () => {
+    const file = readJson(PRICE_FILE, { prices: {} });
+    currency = file.currency || 'USD';
+    return file.prices;
+  },
+});
+
+// Accepts JSON ({ name: price }, { prices: {...} }, or [{ market_hash_name, price }])
+// or CSV with a header row naming a name column and a price column.
+// mode 'merge' keeps existing prices not in the import; 'replace' starts over.
+function importPrices(format, content, { currency, mode = 'merge' } = {}) {
+  const parsed = format === 'csv' ? parseCsvPrices(content) : parseJsonPrices(content);
+  const current = readJson(PRICE_FILE, { prices: {} });
+  const prices = mode === 'replace' ? parsed : { ...current.prices, ...parsed };
+  writeJson(PRICE_FILE, {
+    currency: currency || current.currency || 'USD',
+    importedAt: new Date().toISOString(),
+    prices,
+  });
+  return { imported: Object.keys(parsed).length, total: Object.keys(prices).length };
+}
+
+function parseJsonPrices(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  const source = data?.prices ?? data;
+  const prices = {};
+  if (Array.isArray(source)) {
+    for (const row of source) {
+      const name = row?.market_hash_name ?? row?.name;
+      const price = toPrice(row?.price);
+      if (name && price != null) prices[name] = price;
+    }
+  } else if (source && typeof source === 'object') {
+    for (const [name, value] of Object.entries(source)) {
+      const price = toPrice(typeof value === 'object' && value !== null ? value.price : value);
+      if (price != null) prices[name] = price;
+    }
+  } else {
+    throw new Error('Unrecognised JSON price format');
+  }
+  return prices;
+}
+
+function parseCsvPrices(content) {
+  const rows = parseCsv(String(content));
+  const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+  const nameCol = header.findIndex(h => h === 'market_hash_name' || h === 'name');
+  const priceCol = header.findIndex(h => h === 'price' || h === 'value');
+  if (nameCol < 0 || priceCol < 0) throw new Error('CSV needs a market_hash_name (or name) column and a price column');
+  const prices = {};
+  for (const row of rows) {
+    const name = row[nameCol]?.trim();
+    const price = toPrice(row[priceCol]);
+    if (name && price != null) prices[name] = price;
+  }
+  return prices;
+}
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+function toPrice(value) {
+  if (value == null || value === '') return null;
+  const n = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+  return isFinite(n) ? n : null;
+}
+
+// ── Valuation ─────────────────────────────────────────────────────────────────
+// Market name for a formatted item, the way Steam writes it: "StatTrak™ AK-47 |
+// Redline (Field-Tested)", "★ StatTrak™ Karambit | Doppler (Factory New)",
+// "Souvenir AWP | Dragon Lore (Factory New)".
+// Built from the English name, whatever language the item is shown in
+function marketHashName(item) {
+  let name = item.marketName ?? item.name;
+  if (!name) return null;
+  const star = item.star || name.startsWith('★');
+  if (star) name = name.replace(/^★\s*/, '');
+  const prefix = item.souvenir ? 'Souvenir '
+    : `${star ? '★ ' : ''}${item.stattrak ? 'StatTrak™ ' : ''}`;
+  const tier = item.paintwear != null && item.paintindex ? wearTier(item.paintwear) : null;
+  return `${prefix}${name}${tier ? ` (${tier.name})` : ''}`;
+}
+
+function priceOf(item) {
+  const name = marketHashName(item);
+  const hit = name ? merged.get(name) : null;
+  return { marketHashName: name, price: hit?.price ?? null, source: hit?.source ?? null };
+}
+
+// Value a list of formatted items. Unpriced items are listed, never counted as zero.
+function valueItems(items) {
+  const groups = new Map();
+  const unpriced = [];
+  let total = 0;
+  let priced = 0;
+  for (const item of items) {
+    const { marketHashName: name, price, source } = priceOf(item);
+    if (price == null) {
+      unpriced.push({ id: item.id, name: item.name, marketHashName: name });
+      continue;
+    }
+    priced++;
+    total += price;
+    const g = groups.get(name) || { marketHashName: name, unitPrice: price, source, count: 0, total: 0 };
+    g.count++;
+    g.total += price;
+    groups.set(name, g);
+  }
+  return {
+    currency,
+    total: round(total),
+    itemCount: items.length,
+    pricedCount: priced,
+    unpricedCount: unpriced.length,
+    groups: [...groups.values()].map(g => ({ ...g, total: round(g.total) })).sort((a, b) => b.total - a.total),
+    unpriced,
+  };
+}
+
+// Trade-up economics: inputs (formatted items) against calc (tradeup.calculateTradeup).
+// inputCost/expectedValue are null unless every input and reachable output is priced.
+function valueTradeup(inputItems, calc) {
+  const inputs = valueItems(inputItems);
+  const outputs = calc.outputs.map(o => ({
+    name: o.name,
+    probability: o.probability,
+    float: o.float,
+    ...priceOf({ name: o.name, paintindex: 1, paintwear: o.float, stattrak: calc.stattrak, star: !!o.special }),
+  }));
+  const unpricedOutputs = outputs.filter(o => o.price == null && o.probability > 0);
+  return {
+    currency,
+    inputCost: inputs.unpricedCount ? null : inputs.total,
+    inputs,
+    expectedValue: unpricedOutputs.length ? null : round(outputs.reduce((sum, o) => sum + o.probability * (o.price || 0), 0)),
+    outputs,
+    unpricedOutputs: unpricedOutputs.map(o => o.marketHashName),
+  };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = { registerPriceProvider, reloadPrices, priceStatus, importPrices, marketHashName, priceOf, valueItems, valueTradeup };
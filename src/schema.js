@@ -0,0 +1,412 @@
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson, writeJson } = require('./datafile');
+const { backendName } = require('./backend');
+const { resolveOverride } = require('./overrides');
+
+// ── Item schema (ByMykel CSGO-API) ────────────────────────────────────────────
+// Fetches a community-maintained JSON of all CS2 skins with names + images.
+// Separate lookup maps per item type to avoid def_index collisions between sources.
+// skinsByKey:      `${weapon_id}_${paint_index}`
+// cratesByDef:     def_index → item  (cases, capsules, souvenir packages, etc.)
+// stickersByDef:   def_index → item  (sticker capsules opened = become applied to weapon, not in inv standalone)
+// keysByDef:       def_index → item
+// agentsByDef:     def_index → item
+// collectByDef:    def_index → item
+// musicByDef:      def_index → item
+// graffitiByDef:   def_index → item
+// patchesByDef:    def_index → item
+//
+// The parsed maps are cached in data/schema-cache.json so names and icons are
+// available instantly at startup (and offline); the cache is then refreshed in
+// the background. SKINTOOLS_SCHEMA_SOURCE points the loader at a mirror URL or a
+// local directory holding the same JSON files instead of GitHub. The simulator
+// backend defaults to the small schema that matches its fixture inventory.
+// A source may contain {lang}; one without it keeps other languages in a
+// subdirectory named after the language (see Localized names below).
+const DEFAULT_SOURCE = 'https://raw.githubusercontent.com/ByMykel/CSGO-API/main/public/api/{lang}';
+const FIXTURE_SOURCE = path.join(__dirname, '../fixtures/schema');
+const CACHE_FILE = dataPath('schema-cache.json');
+const REFRESH_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const SOURCE_FILES = {
+  skin:         'skins.json',
+  crate:        'crates.json',
+  sticker:      'stickers.json',
+  sticker_slab: 'sticker_slabs.json',
+  graffiti:     'graffiti.json',
+  agent:        'agents.json',
+  patch:        'patches.json',
+  musickit:     'music_kits.json',
+  tool:         'tools.json',
+  keychain:     'keychains.json',
+  key:          'keys.json',
+  collectible:  'collectibles.json',
+};
+
+const schemaByType = {};
+// Where the current maps came from: per-type ETag + content hash, overall version
+const schemaMeta = { version: null, fetchedAt: null, source: null, types: {} };
+let refreshing = null;
+let refreshTimer = null;
+
+function schemaSource(lang = 'en') {
+  const source = process.env.SKINTOOLS_SCHEMA_SOURCE || (backendName() === 'simulator' ? FIXTURE_SOURCE : DEFAULT_SOURCE);
+  if (source.includes('{lang}')) return source.replace('{lang}', lang);
+  if (lang === 'en') return source;
+  return isRemote(source) ? `${source.replace(/\/$/, '')}/${lang}` : path.join(source, lang);
+}
+
+function isRemote(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+// Load the cached maps (if any), then refresh from the source in the background
+function loadItemSchema() {
+  const cached = readJson(CACHE_FILE, null);
+  if (cached?.maps) {
+    Object.assign(schemaByType, cached.maps);
+    Object.assign(schemaMeta, cached.meta || {});
+    console.log(`Schema loaded from cache (version ${schemaMeta.version}, fetched ${schemaMeta.fetchedAt}): ${schemaSummary()}`);
+  }
+  const refresh = refreshItemSchema().catch(err => console.warn('Schema refresh failed:', err.message));
+  const names = loadLanguage(getLanguage()).catch(err => console.warn(`Could not load ${getLanguage()} item names:`, err.message));
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => refreshItemSchema().catch(() => {}), REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  }
+  return Promise.all([refresh, names]).then(([result]) => result);
+}
+
+// Re-fetch every source. Types that fail (or are unchanged per ETag) keep their
+// current map. Resolves to { version, changes, failed, unchanged }.
+function refreshItemSchema() {
+  if (!refreshing) refreshing = doRefresh().finally(() => { refreshing = null; });
+  return refreshing;
+}
+
+async function doRefresh() {
+  const source = schemaSource();
+  // ETags only make sense against the same source we cached from
+  const sameSource = schemaMeta.source === source;
+  console.log(`Loading CS2 item schema from ${source}...`);
+  const results = await Promise.allSettled(
+    Object.entries(SOURCE_FILES).map(([type, file]) =>
+      fetchSource(source, file, sameSource ? schemaMeta.types[type]?.etag : null).then(r => ({ type, ...r })))
+  );
+
+  const previous = { ...schemaByType };
+  const failed = [];
+  const unchanged = [];
+  const types = { ...schemaMeta.types };
+  for (const [i, result] of results.entries()) {
+    const type = Object.keys(SOURCE_FILES)[i];
+    if (result.status !== 'fulfilled') {
+      console.warn(`Schema source ${type} failed:`, result.reason?.message);
+      failed.push(type);
+      continue;
+    }
+    const { data, etag, notModified } = result.value;
+    if (notModified) { unchanged.push(type); continue; }
+    const map = parseSource(type, data);
+    types[type] = { etag: etag || null, hash: hashMap(map), count: Object.keys(map).length };
+    schemaByType[type] = map;
+  }
+
+  const fetched = Object.keys(SOURCE_FILES).length - failed.length;
+  if (fetched > 0) {
+    schemaMeta.types = types;
+    schemaMeta.source = source;
+    schemaMeta.version = crypto.createHash('sha1')
+      .update(Object.keys(SOURCE_FILES).map(t => types[t]?.hash || '').join(':'))
+      .digest('hex').slice(0, 12);
+    schemaMeta.fetchedAt = new Date().toISOString();
+    try {
+      writeJson(CACHE_FILE, { meta: schemaMeta, maps: schemaByType });
+    } catch (err) {
+      console.warn('Could not write schema cache:', err.message);
+    }
+  }
+  const changes = diffSchemas(previous, schemaByType);
+  console.log(`Schema loaded: ${schemaSummary()}${failed.length ? ` (failed: ${failed.join(', ')})` : ''}`);
+  const changeSummary = Object.entries(changes).map(([t, c]) => `${t} +${c.added} -${c.removed} ~${c.changed}`).join(' ');
+  if (changeSummary) console.log(`Schema changes: ${changeSummary}`);
+  for (const lang of localized.keys()) {
+    refreshLanguage(lang).catch(err => console.warn(`Schema refresh for ${lang} failed:`, err.message));
+  }
+  return { version: schemaMeta.version, changes, failed, unchanged };
+}
+
+// Fetch one JSON file from a URL base or a local directory
+async function fetchSource(source, file, etag) {
+  if (!isRemote(source)) {
+    const text = await fs.promises.readFile(path.join(source, file), 'utf8');
+    return { data: JSON.parse(text), etag: null };
+  }
+  const r = await axios.get(`${source.replace(/\/$/, '')}/${file}`, {
+    timeout: 20000,
+    headers: etag ? { 'If-None-Match': etag } : {},
+    validateStatus: status => status === 200 || status === 304,
+  });
+  if (r.status === 304) return { notModified: true, etag };
+  return { data: r.data, etag: r.headers.etag || null };
+}
+
+// Some endpoints return { value: [...] }, some return plain arrays, some return objects keyed by id
+function sourceItems(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.value)) return data.value;
+  if (typeof data === 'object' && data !== null) return Object.values(data);
+  return [];
+}
+
+function parseSource(type, data) {
+  const map = {};
+  for (const item of sourceItems(data)) {
+    if (type === 'skin') {
+      // Skins: key by weapon_id + paint_index — store full data for trade-up support
+      const wid = item.weapon?.weapon_id;
+      const pi = item.paint_index;
+      if (wid != null && pi != null) map[`${wid}_${pi}`] = {
+        type,
+        name: item.market_hash_name || item.name,
+        iconUrl: item.image || null,
+        rarity: item.rarity?.id || null,
+        minFloat: item.min_float ?? 0,
+        maxFloat: item.max_float ?? 1,
+        collections: item.collections?.map(c => c.id) || [],
+        cases: item.crates?.map(c => c.id) || [],
+        special: specialKind(item),
+        defIndex: wid,
+        paintIndex: pi,
+      };
+    } else {
+      // Everything else: key by def_index within its own type map
+      if (item.def_index != null) map[String(item.def_index)] = {
+        type,
+        name: item.market_hash_name || item.name,
+        iconUrl: item.image || null,
+        rarity: item.rarity?.id || null,
+      };
+    }
+  }
+  return map;
+}
+
+// Knives and gloves ("★") are the rare specials a Covert contract can produce
+function specialKind(item) {
+  if (!String(item.market_hash_name || item.name || '').startsWith('★')) return null;
+  return /gloves|handwraps/i.test(item.weapon?.id || '') ? 'gloves' : 'knife';
+}
+
+// Display names only, keyed like parseSource's maps. Other languages translate
+// `name`; market_hash_name stays English, so it's not used here.
+function parseNames(type, data) {
+  const names = {};
+  for (const item of sourceItems(data)) {
+    const key = type === 'skin'
+      ? (item.weapon?.weapon_id != null && item.paint_index != null ? `${item.weapon.weapon_id}_${item.paint_index}` : null)
+      : (item.def_index != null ? String(item.def_index) : null);
+    if (key != null && item.name) names[key] = item.name;
+  }
+  return names;
+}
+
+function hashMap(map) {
+  return crypto.createHash('sha1').update(JSON.stringify(map)).digest('hex');
+}
+
+// Per type: keys added / removed / changed between two sets of maps, with a few example names
+function diffSchemas(before, after) {
+  const EXAMPLES = 10;
+  const changes = {};
+  for (const type of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const a = before[type] || {};
+    const b = after[type] || {};
+    if (a === b) continue;
+    const added = Object.keys(b).filter(k => !(k in a));
+    const removed = Object.keys(a).filter(k => !(k in b));
+    const changed = Object.keys(b).filter(k => k in a && JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+    if (!added.length && !removed.length && !changed.length) continue;
+    changes[type] = {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      examples: {
+        added: added.slice(0, EXAMPLES).map(k => b[k].name),
+        removed: removed.slice(0, EXAMPLES).map(k => a[k].name),
+        changed: changed.slice(0, EXAMPLES).map(k => a[k].name === b[k].name ? b[k].name : `${a[k].name} → ${b[k].name}`),
+      },
+    };
+  }
+  return changes;
+}
+
+function schemaSummary() {
+  return Object.entries(schemaByType).map(([t,m]) => `${t}=${Object.keys(m).length}`).join(' ');
+}
+
+// Determine item type from GC item properties and look up in the right map.
+// Graffiti items: def_index is the sealed container type (e.g. 1348),
+//   but stickers[0].sticker_id is the actual pattern ID that maps to graffiti.json def_index.
+// Cases/keys/etc: def_index maps directly.
+// Local overrides (see overrides.js) come before all of it.
+// Always the English entry; see localizedName() for the display name.
+function lookupSchema(item) {
+  return findSchemaEntry(item)?.entry || null;
+}
+
+// { entry, type, key }: the entry plus the map and key it came from. type and key
+// are null for names no language file has (overrides, graffiti named after a sticker).
+function findSchemaEntry(item) {
+  const override = resolveOverride(item);
+  if (override) return { entry: override, type: null, key: null };
+
+  const def = String(item.def_index);
+  const pi = item.paint_index;
+
+  // If it has a paint_index it's a skin
+  if (pi != null && pi !== 0) {
+    const key = `${item.def_index}_${pi}`;
+    if (schemaByType.skin?.[key]) return { entry: schemaByType.skin[key], type: 'skin', key };
+  }
+
+  // Sealed graffiti containers have a stickers array with sticker_id = pattern ID.
+  // But pins/charms also have a stickers array, so only treat as graffiti if the
+  // item def_index is NOT already known as something else (crate, collectible, etc).
+  const alreadyKnown = schemaByType.crate?.[def] || schemaByType.key?.[def] ||
+    schemaByType.agent?.[def] || schemaByType.collectible?.[def] ||
+    schemaByType.musickit?.[def] || schemaByType.patch?.[def] || schemaByType.tool?.[def] || schemaByType.keychain?.[def];
+  if (!alreadyKnown && item.stickers?.length > 0 && item.stickers[0].sticker_id != null) {
+    const patternId = String(item.stickers[0].sticker_id);
+    if (schemaByType.graffiti?.[patternId]) return { entry: schemaByType.graffiti[patternId], type: 'graffiti', key: patternId };
+    if (schemaByType.sticker?.[patternId]) {
+      const s = schemaByType.sticker[patternId];
+      const name = s.name?.replace(/^Sticker \| /, 'Graffiti | ') ?? s.name;
+      return { entry: { ...s, type: 'graffiti', name }, type: null, key: null };
+    }
+  }
+
+  // Try each non-skin type in priority order
+  const typeOrder = ['crate', 'key', 'agent', 'collectible', 'musickit', 'patch', 'tool', 'keychain', 'sticker_slab', 'sticker'];
+  for (const type of typeOrder) {
+    if (schemaByType[type]?.[def]) return { entry: schemaByType[type][def], type, key: def };
+  }
+
+  return null;
+}
+
+// ── Localized names ───────────────────────────────────────────────────────────
+// ByMykel publishes the same files in other languages. The English maps above
+// stay the source of truth — market names for pricing and exports, trade-up
+// data — and a language only adds display names, cached per language in
+// data/schema-cache-<lang>.json. Whatever a language lacks shows in English.
+//
+// The install's language is SKINTOOLS_LANGUAGE until setLanguage() saves one
+// to data/language.json; withLanguage() overrides it for a single request.
+const LANGUAGES = [
+  'bg', 'cs', 'da', 'de', 'el', 'en', 'es-ES', 'es-MX', 'fi', 'fr', 'hu', 'it', 'ja', 'ko', 'nl',
+  'no', 'pl', 'pt-BR', 'pt-PT', 'ro', 'ru', 'sk', 'sv', 'th', 'tr', 'uk', 'vi', 'zh-CN', 'zh-TW',
+];
+const LANGUAGE_FILE = dataPath('language.json');
+
+const localized = new Map();        // language → { [type]: { key: name } }
+const languageLoads = new Map();    // language → in-flight fetch
+const requestLanguage = new AsyncLocalStorage();
+let installLanguage = null;
+
+function languageCacheFile(lang) {
+  return dataPath(`schema-cache-${lang}.json`);
+}
+
+function getLanguage() {
+  if (!installLanguage) {
+    const saved = readJson(LANGUAGE_FILE, null)?.language;
+    const env = process.env.SKINTOOLS_LANGUAGE;
+    if (env && !LANGUAGES.includes(env)) console.warn(`Unknown SKINTOOLS_LANGUAGE "${env}", using English`);
+    installLanguage = [saved, env].find(l => LANGUAGES.includes(l)) || 'en';
+  }
+  return installLanguage;
+}
+
+// The language names are shown in right now: the request's, else the install's
+function activeLanguage() {
+  return requestLanguage.getStore() || getLanguage();
+}
+
+// Load a language's names, then make it the install's language
+async function setLanguage(lang) {
+  if (!LANGUAGES.includes(lang)) throw Object.assign(new Error(`Unknown language: ${lang}`), { status: 400 });
+  await loadLanguage(lang);
+  writeJson(LANGUAGE_FILE, { language: lang });
+  installLanguage = lang;
+}
+
+// Run fn (and everything it awaits) with names in `lang`
+function withLanguage(lang, fn) {
+  return requestLanguage.run(lang, fn);
+}
+
+// Names from the cache if there are some (refreshed in the background), else fetched now
+function loadLanguage(lang) {
+  if (lang === 'en' || localized.has(lang)) return Promise.resolve();
+  const cached = readJson(languageCacheFile(lang), null);
+  if (cached?.names) {
+    localized.set(lang, cached.names);
+    refreshLanguage(lang).catch(err => console.warn(`Schema refresh for ${lang} failed:`, err.message));
+    return Promise.resolve();
+  }
+  return refreshLanguage(lang);
+}
+
+function refreshLanguage(lang) {
+  if (!languageLoads.has(lang)) languageLoads.set(lang, fetchLanguage(lang).finally(() => languageLoads.delete(lang)));
+  return languageLoads.get(lang);
+}
+
+async function fetchLanguage(lang) {
+  const source = schemaSource(lang);
+  const results = await Promise.allSettled(
+    Object.entries(SOURCE_FILES).map(([type, file]) => fetchSource(source, file, null).then(r => ({ type, ...r })))
+  );
+  const names = { ...localized.get(lang) };
+  const failed = [];
+  for (const [i, result] of results.entries()) {
+    const type = Object.keys(SOURCE_FILES)[i];
+    if (result.status === 'fulfilled') names[type] = parseNames(type, result.value.data);
+    else failed.push(type);
+  }
+  if (failed.length === results.length) throw new Error(`No ${lang} schema at ${source}`);
+  localized.set(lang, names);
+  try {
+    writeJson(languageCacheFile(lang), { meta: { language: lang, source, fetchedAt: new Date().toISOString() }, names });
+  } catch (err) {
+    console.warn(`Could not write ${lang} schema cache:`, err.message);
+  }
+  const count = Object.values(names).reduce((n, m) => n + Object.keys(m).length, 0);
+  console.log(`Schema names loaded for ${lang}: ${count}${failed.length ? ` (missing: ${failed.join(', ')})` : ''}`);
+}
+
+// Display name in the active language for a schema map entry, or null for English / no translation
+function localName(type, key, lang = activeLanguage()) {
+  if (lang === 'en') return null;
+  return localized.get(lang)?.[type]?.[key] || null;
+}
+
+// Display name in the active language for a raw GC item, or null (use lookupSchema's)
+function localizedName(item) {
+  if (activeLanguage() === 'en') return null;
+  const found = findSchemaEntry(item);
+  return found?.type ? localName(found.type, found.key) : null;
+}
+
+function languageStatus() {
+  return { language: getLanguage(), active: activeLanguage(), languages: LANGUAGES, loaded: ['en', ...localized.keys()] };
+}
+
+module.exports = {
+  LANGUAGES, schemaByType, schemaMeta, loadItemSchema, refreshItemSchema, lookupSchema,
+  getLanguage, setLanguage, withLanguage, loadLanguage, localName, localizedName, languageStatus,
+};
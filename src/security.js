@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./datafile');
+
+// ── HTTP API access control ───────────────────────────────────────────────────
+// Every /api request must present this install's session secret, either as the
+// skintools_session cookie (set when the UI page is opened) or the
+// X-SkinTools-Secret header (for scripts). The page only hands out the cookie to
+// loopback clients; anyone else needs the one-time link printed on startup.
+// State-changing requests from a browser must also come from our own Origin.
+const SECRET_FILE = dataPath('session-secret.json');
+const COOKIE_NAME = 'skintools_session';
+const SECRET_HEADER = 'x-skintools-secret';
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+let secret = null;
+
+function sessionSecret() {
+  if (secret) return secret;
+  secret = readJson(SECRET_FILE, null)?.secret;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    writeJson(SECRET_FILE, { secret, createdAt: new Date().toISOString() });
+  }
+  return secret;
+}
+
+function matchesSecret(value) {
+  if (typeof value !== 'string') return false;
+  const a = Buffer.from(value);
+  const b = Buffer.from(sessionSecret());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [k, ...v] = part.trim().split('=');
+    if (k === name) return decodeURIComponent(v.join('='));
+  }
+  return null;
+}
+
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+function isLoopback(req) {
+  const addr = req.socket.remoteAddress || '';
+  return addr === '::1' || addr.startsWith('127.') || addr.startsWith('::ffff:127.');
+}
+
+// Hostnames the server answers to. Anything else is refused, so a page on another
+// domain that re-resolves its name to 127.0.0.1 (DNS rebinding) can't reach us.
+function allowedHostnames(host) {
+  const names = new Set(['localhost']);
+  if (host) names.add(host.toLowerCase());
+  for (const h of (process.env.SKINTOOLS_ALLOWED_HOSTS || '').split(',')) if (h.trim()) names.add(h.trim().toLowerCase());
+  return names;
+}
+
+function hostnameOf(hostHeader) {
+  return String(hostHeader || '').toLowerCase().replace(/:\d+$/, '');
+}
+
+// IP literals can't be rebound, so they're always accepted
+function isIpLiteral(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || /^\[[0-9a-f:.]+\]$/.test(hostname);
+}
+
+function hostCheck(host) {
+  const allowed = allowedHostnames(host);
+  return (req, res, next) => {
+    const hostname = hostnameOf(req.headers.host);
+    if (allowed.has(hostname) || isIpLiteral(hostname)) return next();
+    res.status(403).json({ error: 'Host not allowed (add it to SKINTOOLS_ALLOWED_HOSTS)' });
+  };
+}
+
+// Mounted on the UI page: sets the session cookie for loopback clients and for
+// visits through the startup link (?secret=…), which then redirects to drop it
+function pageAccess(req, res, next) {
+  const fromLink = matchesSecret(req.query.secret);
+  if (!fromLink && !isLoopback(req) && !matchesSecret(readCookie(req, COOKIE_NAME))) {
+    return res.status(401).type('text').send('Open SkinTools through the link printed in the server console.');
+  }
+  res.cookie(COOKIE_NAME, sessionSecret(), { httpOnly: true, sameSite: 'strict', path: '/' });
+  if (fromLink) return res.redirect(req.path);
+  next();
+}
+
+function apiAccess(req, res, next) {
+  const viaHeader = matchesSecret(req.headers[SECRET_HEADER]);
+  const viaCookie = !viaHeader && matchesSecret(readCookie(req, COOKIE_NAME));
+  if (!viaHeader && !viaCookie) return res.status(401).json({ error: 'Missing or wrong session secret' });
+
+  // Scripts using the header can't be a cross-site browser request (a page can't
+  // set that header without a CORS preflight we never grant); cookies can be
+  if (viaCookie && !SAFE_METHODS.has(req.method)) {
+    const origin = req.headers.origin || req.headers.referer;
+    let sameOrigin = false;
+    try { sameOrigin = new URL(origin).host === req.headers.host; } catch {}
+    if (!sameOrigin) return res.status(403).json({ error: 'Cross-origin request refused' });
+  }
+  next();
+}
+
+module.exports = { sessionSecret, isLoopbackHost, hostCheck, pageAccess, apiAccess };
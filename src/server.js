@@ -1,451 +1,722 @@
 const express = require('express');
-const SteamUser = require('steam-user');
-const GlobalOffensive = require('globaloffensive');
-const axios = require('axios');
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const jobs = require('./jobs');
+const organize = require('./organize');
+const schema = require('./schema');
+const { schemaByType, schemaMeta, loadItemSchema, refreshItemSchema } = schema;
+const tradeup = require('./tradeup');
+const tradeupHistory = require('./tradeuphistory');
+const tradeupBatch = require('./tradeupbatch');
+const prices = require('./prices');
+const snapshots = require('./snapshots');
+const { exportRows, toCsv } = require('./export');
+const events = require('./events');
+const storageIndex = require('./storageindex');
+const vault = require('./vault');
+const security = require('./security');
+const tokens = require('./tokens');
+const sessions = require('./sessions');
+const backend = require('./backend');
+const unlocks = require('./unlocks');
+const overrides = require('./overrides');
+const auditLog = require('./auditlog');
+const {
+  isSystemItem, storageUnits, casketCapacity, casketContents, collectAllItems, tradeupEligible, formatItem,
+  unknownItemReport,
+} = require('./inventory');
+
+// ── Server config ─────────────────────────────────────────────────────────────
+const HOST = process.env.SKINTOOLS_HOST || '127.0.0.1';
+const PORT = Number(process.env.SKINTOOLS_PORT || process.env.PORT) || 3000;
+const DEBUG_ROUTES = process.env.SKINTOOLS_DEBUG === '1';
 
 const app = express();
+app.use(security.hostCheck(HOST));
+app.get(['/', '/index.html'], security.pageAccess);
+app.use('/api', security.apiAccess);
+app.use(['/api/debug', '/api/accounts/:account/debug'], (req, res, next) => {
+  if (DEBUG_ROUTES) return next();
+  res.status(404).json({ error: 'Debug routes are disabled (start with SKINTOOLS_DEBUG=1)' });
+});
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
-// ── State ─────────────────────────────────────────────────────────────────────
-const TOKEN_FILE = path.join(__dirname, '../.refresh_token.json');
-let client = null;
-let csgo = null;
-let steamGuardResolver = null;
-let connectionStatus = 'disconnected';
-let steamId64 = null;
-let currentLoginAccount = null; // tracks which account the active client is logging in as
-
-// Schema lookup: `${defindex}_${paintindex}` → { name, iconUrl }
-let itemSchema = {};
-let schemaLoaded = false;
-let pendingCraftResolve = null; // resolves when craftingComplete fires
-
-// ── Token helpers (multi-account) ─────────────────────────────────────────────
-// File format: { active: "username", accounts: { username: "refreshToken", ... } }
-function loadTokenFile() {
+// ?lang=de on any API request names items in that language (see schema.js)
+app.use('/api', async (req, res, next) => {
+  const lang = req.query.lang;
+  if (lang == null) return next();
+  if (!schema.LANGUAGES.includes(lang)) return res.status(400).json({ error: `Unknown language: ${lang}`, languages: schema.LANGUAGES });
   try {
-    if (fs.existsSync(TOKEN_FILE)) {
-      const data = JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8'));
-      // Migrate old single-account format
-      if (data.accountName !== undefined && !data.accounts) {
-        const migrated = { active: data.accountName, accounts: { [data.accountName]: data.token } };
-        fs.writeFileSync(TOKEN_FILE, JSON.stringify(migrated));
-        return migrated;
-      }
-      return data;
-    }
-  } catch {}
-  return { active: null, accounts: {} };
-}
-function saveTokenFile(data) {
-  fs.writeFileSync(TOKEN_FILE, JSON.stringify(data));
-}
-function saveToken(accountName, token) {
-  const data = loadTokenFile();
-  if (!data.accounts) data.accounts = {};
-  data.accounts[accountName] = token;
-  data.active = accountName;
-  saveTokenFile(data);
-}
-function loadToken() {
-  const data = loadTokenFile();
-  if (!data.active || !data.accounts?.[data.active]) return null;
-  return { accountName: data.active, token: data.accounts[data.active] };
-}
-function setActiveAccount(accountName) {
-  const data = loadTokenFile();
-  if (!(accountName in (data.accounts || {}))) return false;
-  data.active = accountName;
-  saveTokenFile(data);
-  return true;
-}
-function removeAccount(accountName) {
-  const data = loadTokenFile();
-  delete data.accounts[accountName];
-  if (data.active === accountName) {
-    data.active = Object.keys(data.accounts)[0] || null;
-  }
-  saveTokenFile(data);
-  return data;
-}
-function clearToken() { try { fs.unlinkSync(TOKEN_FILE); } catch {} }
-
-// ── Item schema (ByMykel CSGO-API) ────────────────────────────────────────────
-// Fetches a community-maintained JSON of all CS2 skins with names + images.
-// Separate lookup maps per item type to avoid def_index collisions between sources.
-// skinsByKey:      `${weapon_id}_${paint_index}`
-// cratesByDef:     def_index → item  (cases, capsules, souvenir packages, etc.)
-// stickersByDef:   def_index → item  (sticker capsules opened = become applied to weapon, not in inv standalone)
-// keysByDef:       def_index → item
-// agentsByDef:     def_index → item
-// collectByDef:    def_index → item
-// musicByDef:      def_index → item
-// graffitiByDef:   def_index → item
-// patchesByDef:    def_index → item
-const schemaByType = {};
-
-async function loadItemSchema() {
-  if (schemaLoaded) return;
-  const BASE = 'https://raw.githubusercontent.com/ByMykel/CSGO-API/main/public/api/en';
-  const sources = [
-    { type: 'skin',        url: `${BASE}/skins.json` },
-    { type: 'crate',       url: `${BASE}/crates.json` },
-    { type: 'sticker',     url: `${BASE}/stickers.json` },
-    { type: 'sticker_slab',url: `${BASE}/sticker_slabs.json` },
-    { type: 'graffiti',    url: `${BASE}/graffiti.json` },
-    { type: 'agent',       url: `${BASE}/agents.json` },
-    { type: 'patch',       url: `${BASE}/patches.json` },
-    { type: 'musickit',    url: `${BASE}/music_kits.json` },
-    { type: 'tool',        url: `${BASE}/tools.json` },
-    { type: 'keychain',    url: `${BASE}/keychains.json` },
-    { type: 'key',         url: `${BASE}/keys.json` },
-    { type: 'collectible', url: `${BASE}/collectibles.json` },
-  ];
-
-  try {
-    console.log('Loading CS2 item schema...');
-    const results = await Promise.allSettled(
-      sources.map(s => axios.get(s.url, { timeout: 20000 }).then(r => ({ type: s.type, data: r.data })))
-    );
-
-    for (const result of results) {
-      if (result.status !== 'fulfilled') { console.warn('Schema source failed:', result.reason?.message); continue; }
-      const { type, data } = result.value;
-      // Some endpoints return { value: [...] }, some return plain arrays, some return objects keyed by id
-      let items;
-      if (Array.isArray(data)) items = data;
-      else if (Array.isArray(data?.value)) items = data.value;
-      else if (typeof data === 'object' && data !== null) items = Object.values(data);
-      else items = [];
-      const map = {};
-      for (const item of items) {
-        if (type === 'skin') {
-          // Skins: key by weapon_id + paint_index — store full data for trade-up support
-          const wid = item.weapon?.weapon_id;
-          const pi = item.paint_index;
-          if (wid != null && pi != null) map[`${wid}_${pi}`] = {
-            name: item.market_hash_name || item.name,
-            iconUrl: item.image || null,
-            rarity: item.rarity?.id || null,
-            minFloat: item.min_float ?? 0,
-            maxFloat: item.max_float ?? 1,
-            collections: item.collections?.map(c => c.id) || [],
-            defIndex: wid,
-            paintIndex: pi,
-          };
-        } else {
-          // Everything else: key by def_index within its own type map
-          if (item.def_index != null) map[String(item.def_index)] = { name: item.market_hash_name || item.name, iconUrl: item.image || null };
-        }
-      }
-      schemaByType[type] = map;
-      itemSchema = { ...itemSchema, ...( type === 'skin' ? map : {} ) };
-    }
-
-    schemaLoaded = true;
-    const summary = Object.entries(schemaByType).map(([t,m]) => `${t}=${Object.keys(m).length}`).join(' ');
-    console.log(`Schema loaded: ${summary}`);
+    await schema.loadLanguage(lang);
   } catch (err) {
-    console.warn('Schema load failed:', err.message);
-  }
-}
-
-// Determine item type from GC item properties and look up in the right map.
-// Graffiti items: def_index is the sealed container type (e.g. 1348),
-//   but stickers[0].sticker_id is the actual pattern ID that maps to graffiti.json def_index.
-// Cases/keys/etc: def_index maps directly.
-function lookupSchema(item) {
-  const def = String(item.def_index);
-  const pi = item.paint_index;
-
-  // If it has a paint_index it's a skin
-  if (pi != null && pi !== 0) {
-    const key = `${item.def_index}_${pi}`;
-    if (schemaByType.skin?.[key]) return schemaByType.skin[key];
+    console.warn(`Could not load ${lang} item names:`, err.message);
   }
+  schema.withLanguage(lang, next);
+});
 
-  // Hardcoded overrides for veteran coins and birthday coin.
-  // These share def_indexes with sticker slabs in ByMykel's data, but can be
-  // distinguished by rarity: coins have rarity 1, sticker slabs have rarity 5+.
-  if (item.def_index === 4950 && item.rarity === 1) {
-    const has277 = item.attribute?.some(a => a.def_index === 277);
-    return has277
-      ? { name: '10 Year Veteran Coin', iconUrl: null }
-      : { name: '5 Year Veteran Coin', iconUrl: null };
-  }
-  if (item.def_index === 1348 && item.rarity === 1 && item.attribute?.some(a => a.def_index === 277)) {
-    return { name: 'Loyalty Badge', iconUrl: null };
+// ── Session events → browser ──────────────────────────────────────────────────
+// Every event names the account it came from; the UI shows the active account's.
+sessions.sessionEvents.on('status', (session, reason) => broadcastStatus(reason, session.accountName));
+
+sessions.sessionEvents.on('gc', (session, event, ...args) => {
+  const account = session.accountName;
+  if (event === 'itemAcquired' && !isSystemItem(args[0])) {
+    events.broadcast('itemAcquired', { account, ...formatItem(args[0]) });
+  } else if (event === 'itemChanged' && !isSystemItem(args[1])) {
+    events.broadcast('itemChanged', { account, before: formatItem(args[0]), item: formatItem(args[1]) });
+  } else if (event === 'itemRemoved') {
+    events.broadcast('itemRemoved', { account, id: args[0].id?.toString() });
+  } else if (event === 'craftingComplete') {
+    events.broadcast('craftingComplete', { account, blueprint: args[0], newItemIds: args[1].map(String) });
   }
+});
 
-  // Sealed graffiti containers have a stickers array with sticker_id = pattern ID.
-  // But pins/charms also have a stickers array, so only treat as graffiti if the
-  // item def_index is NOT already known as something else (crate, collectible, etc).
-  const alreadyKnown = schemaByType.crate?.[def] || schemaByType.key?.[def] ||
-    schemaByType.agent?.[def] || schemaByType.collectible?.[def] ||
-    schemaByType.musickit?.[def] || schemaByType.patch?.[def] || schemaByType.tool?.[def] || schemaByType.keychain?.[def];
-  if (!alreadyKnown && item.stickers?.length > 0 && item.stickers[0].sticker_id != null) {
-    const patternId = String(item.stickers[0].sticker_id);
-    if (schemaByType.graffiti?.[patternId]) return schemaByType.graffiti[patternId];
-    if (schemaByType.sticker?.[patternId]) {
-      const s = schemaByType.sticker[patternId];
-      const name = s.name?.replace(/^Sticker \| /, 'Graffiti | ') ?? s.name;
-      return { ...s, name };
-    }
-  }
+// ── Connection status ─────────────────────────────────────────────────────────
+// status/hasSavedToken describe the active account (the one the UI shows);
+// sessions lists every account that is logged in or logging in.
+function statusPayload() {
+  const tokenData = tokens.loadTokenFile();
+  const saved = tokens.loadToken();
+  const active = tokenData.active ? sessions.getSession(tokenData.active) : null;
+  return {
+    status: active?.status || 'disconnected',
+    hasSavedToken: !!saved?.token,
+    savedAccountName: saved?.accountName || null,
+    accounts: Object.keys(tokenData.accounts || {}),
+    activeAccount: tokenData.active || null,
+    sessions: sessions.listSessions().map(describeSession),
+    vault: vault.vaultStatus(),
+  };
+}
 
-  // Try each non-skin type in priority order
-  const typeOrder = ['crate', 'key', 'agent', 'collectible', 'musickit', 'patch', 'tool', 'keychain', 'sticker_slab', 'sticker'];
-  for (const type of typeOrder) {
-    if (schemaByType[type]?.[def]) return schemaByType[type][def];
-  }
+function describeSession(session) {
+  return { accountName: session.accountName, status: session.status, steamId: session.steamId64 };
+}
 
-  return null;
+// reason: the Steam/GC event behind the change (loggedOn, steamGuard, connectedToGC, ...);
+// account: the session it happened to, if any
+function broadcastStatus(reason = null, account = null) {
+  events.broadcast('status', { ...statusPayload(), account, reason });
 }
 
-// ── Steam client setup ────────────────────────────────────────────────────────
-function createClients() {
-  if (client) { try { client.logOff(); } catch {} }
-  client = new SteamUser();
-  csgo = new GlobalOffensive(client);
-
-  client.on('loggedOn', () => {
-    steamId64 = client.steamID?.getSteamID64?.() || client.steamID?.toString();
-    console.log(`Logged in, SteamID: ${steamId64}`);
-    connectionStatus = 'connecting';
-    client.gamesPlayed([730]);
-  });
+// Log in every saved account that has a token and isn't already connected
+function autoLogin() {
+  for (const { accountName } of tokens.savedTokens()) {
+    const session = sessions.getSession(accountName);
+    if (session && session.status !== 'disconnected' && !session.status.startsWith('error:')) continue;
+    console.log(`Auto-logging in as ${accountName}...`);
+    sessions.logOnWithToken(accountName);
+  }
+}
 
-  client.on('refreshToken', (token) => {
-    if (currentLoginAccount) saveToken(currentLoginAccount, token);
-  });
+// ── Token vault routes ────────────────────────────────────────────────────────
+// A locked (or unreadable) vault hides every saved account, so the auth routes
+// wait for unlock rather than write a fresh token file over it
+app.use(['/api/auth', '/api/accounts'], (req, res, next) => {
+  if (req.path === '/status') return next();
+  const status = vault.vaultStatus();
+  if (!status.locked) return next();
+  res.status(423).json({ error: status.error || 'Token vault is locked', vault: status });
+});
 
-  client.on('steamGuard', (domain, callback) => {
-    console.log('Steam Guard required');
-    connectionStatus = 'steamguard';
-    steamGuardResolver = callback;
-  });
+function vaultRoute(action) {
+  return (req, res) => {
+    try {
+      action(req.body || {});
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+    res.json({ ok: true, vault: vault.vaultStatus() });
+    broadcastStatus('vault');
+  };
+}
 
-  client.on('error', (err) => {
-    console.error('Steam error:', err.message);
-    connectionStatus = 'error:' + err.message;
-  });
+app.get('/api/vault', (req, res) => {
+  res.json(vault.vaultStatus());
+});
 
-  client.on('loggedOff', () => { connectionStatus = 'disconnected'; });
+// Body: { passphrase } — unlocking also resumes auto-login for the saved accounts
+app.post('/api/vault/unlock', vaultRoute(({ passphrase }) => {
+  vault.unlock(passphrase);
+  autoLogin();
+}));
 
-  csgo.on('connectedToGC', () => {
-    console.log('Connected to CS2 GC!');
-    connectionStatus = 'connected';
-  });
+// Body: { passphrase } — encrypts the existing token file
+app.post('/api/vault/enable', vaultRoute(({ passphrase }) => vault.enable(passphrase)));
 
-  csgo.on('disconnectedFromGC', () => { connectionStatus = 'connecting'; });
-  csgo.on('itemAcquired', (item) => { console.log(`GC item acquired late: def_index=${item.def_index} id=${item.id}`); });
-  csgo.on('itemChanged', (item) => { console.log(`GC item changed: def_index=${item.def_index} id=${item.id}`); });
-  csgo.on('craftingComplete', (blueprint, idList) => {
-    console.log(`Crafting complete: blueprint=${blueprint}, new items=${idList.join(',')}`);
-    if (pendingCraftResolve) {
-      pendingCraftResolve({ success: true, newItemIds: idList });
-      pendingCraftResolve = null;
-    }
-  });
-  csgo.on('error', (err) => console.error('GC error:', err));
-}
+// Body: { passphrase, newPassphrase }
+app.post('/api/vault/rotate', vaultRoute(({ passphrase, newPassphrase }) => vault.rotate(passphrase, newPassphrase)));
 
 // ── Auth routes ───────────────────────────────────────────────────────────────
 app.get('/api/auth/status', (req, res) => {
-  const saved = loadToken();
-  const tokenData = loadTokenFile();
-  res.json({
-    status: connectionStatus,
-    hasSavedToken: !!saved?.token,
-    savedAccountName: saved?.accountName || null,
-    accounts: Object.keys(tokenData.accounts || {}),
-    activeAccount: tokenData.active || null,
-  });
+  res.json(statusPayload());
+});
+
+// GET /api/events — Server-Sent Events: `status` on every connection state change,
+// plus itemAcquired / itemChanged / itemRemoved / craftingComplete from the GC
+app.get('/api/events', (req, res) => {
+  events.addClient(req, res, [{ event: 'status', data: { ...statusPayload(), account: null, reason: 'initial' } }]);
 });
 
 app.get('/api/auth/accounts', (req, res) => {
-  const tokenData = loadTokenFile();
+  const tokenData = tokens.loadTokenFile();
   res.json({
     accounts: Object.keys(tokenData.accounts || {}),
     active: tokenData.active || null,
   });
 });
 
+// Logs in an additional account; sessions of other accounts stay connected
 app.post('/api/auth/login', (req, res) => {
   const { username, password } = req.body;
   if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
-  createClients();
-  connectionStatus = 'connecting';
-  currentLoginAccount = username;
   // Save username as placeholder so we know this account exists
-  const data = loadTokenFile();
-  if (!data.accounts) data.accounts = {};
-  data.accounts[username] = data.accounts[username] || null;
-  data.active = username;
-  saveTokenFile(data);
-  client.logOn({ accountName: username, password });
+  tokens.addAccount(username);
+  sessions.logOn(username, { accountName: username, password });
   res.json({ ok: true });
 });
 
 app.post('/api/auth/token-login', (req, res) => {
-  const saved = loadToken();
+  const saved = tokens.loadToken();
   if (!saved?.token) return res.status(400).json({ error: 'No saved token' });
-  createClients();
-  connectionStatus = 'connecting';
-  currentLoginAccount = saved.accountName;
-  client.logOn({ refreshToken: saved.token });
+  sessions.logOnWithToken(saved.accountName);
   res.json({ ok: true });
 });
 
+// Makes another account the active one. Its session is started if it isn't
+// running; the previous account stays logged in.
 app.post('/api/auth/switch', async (req, res) => {
   const { accountName } = req.body;
   if (!accountName) return res.status(400).json({ error: 'accountName required' });
-  if (!setActiveAccount(accountName)) return res.status(404).json({ error: 'Account not found' });
-
-  // Log off current session
-  if (client) { try { client.logOff(); } catch {} }
-  connectionStatus = 'connecting';
-  steamId64 = null;
-
-  // Log in with saved token for the new account
-  const saved = loadToken();
-  if (!saved?.token) {
-    connectionStatus = 'disconnected';
-    return res.status(400).json({ error: 'No saved token for that account — log in manually' });
+  if (!tokens.setActiveAccount(accountName)) return res.status(404).json({ error: 'Account not found' });
+
+  const session = sessions.getSession(accountName);
+  if (!session || session.status === 'disconnected' || session.status.startsWith('error:')) {
+    if (!sessions.logOnWithToken(accountName)) {
+      broadcastStatus('switch', accountName);
+      return res.status(400).json({ error: 'No saved token for that account — log in manually' });
+    }
   }
-  createClients();
-  currentLoginAccount = accountName;
-  client.logOn({ refreshToken: saved.token });
+  broadcastStatus('switch', accountName);
   res.json({ ok: true, accountName });
 });
 
 app.post('/api/auth/remove-account', (req, res) => {
   const { accountName } = req.body;
   if (!accountName) return res.status(400).json({ error: 'accountName required' });
-  const data = removeAccount(accountName);
-  // If we removed the active account, disconnect
-  if (connectionStatus === 'connected' && data.active !== accountName) {
-    if (client) { try { client.logOff(); } catch {} }
-    connectionStatus = 'disconnected';
-    steamId64 = null;
-  }
+  sessions.logOff(accountName);
+  const data = tokens.removeAccount(accountName);
+  broadcastStatus('removeAccount', accountName);
   res.json({ ok: true, accounts: Object.keys(data.accounts), active: data.active });
 });
 
+// Body: { code, accountName? } — without accountName, answers the active
+// account's prompt (or the only one waiting)
 app.post('/api/auth/guard', (req, res) => {
-  const { code } = req.body;
-  if (!steamGuardResolver) return res.status(400).json({ error: 'No Steam Guard prompt active' });
-  steamGuardResolver(code);
-  steamGuardResolver = null;
-  connectionStatus = 'connecting';
+  const { code, accountName } = req.body;
+  const waiting = sessions.listSessions().filter(s => s.steamGuardResolver);
+  const active = tokens.loadTokenFile().active;
+  const session = accountName ? waiting.find(s => s.accountName === accountName)
+    : waiting.find(s => s.accountName === active) || (waiting.length === 1 ? waiting[0] : null);
+  if (!session) return res.status(400).json({ error: 'No Steam Guard prompt active' });
+  session.steamGuardResolver(code);
   res.json({ ok: true });
 });
 
+// Logs every account off and forgets all saved tokens
 app.post('/api/auth/logout', (req, res) => {
-  clearToken();
-  if (client) { try { client.logOff(); } catch {} }
-  connectionStatus = 'disconnected';
-  steamId64 = null;
+  sessions.logOffAll();
+  tokens.clearToken();
+  broadcastStatus('logout');
   res.json({ ok: true });
 });
 
+// ── Accounts ──────────────────────────────────────────────────────────────────
+// GET /api/accounts — every saved account with its session state
+app.get('/api/accounts', (req, res) => {
+  const tokenData = tokens.loadTokenFile();
+  const names = new Set([...Object.keys(tokenData.accounts || {}), ...sessions.listSessions().map(s => s.accountName)]);
+  res.json({
+    active: tokenData.active || null,
+    accounts: [...names].map(name => {
+      const session = sessions.getSession(name);
+      return {
+        accountName: name,
+        hasSavedToken: !!tokenData.accounts?.[name],
+        status: session?.status || 'disconnected',
+        steamId: session?.steamId64 || null,
+      };
+    }),
+  });
+});
+
+// GET /api/health — connection health of every session: status, uptime, last
+// word from the GC and reconnect attempts
+app.get('/api/health', (req, res) => {
+  res.json({
+    backend: backend.backendName(),
+    uptimeSeconds: Math.round(process.uptime()),
+    sessions: sessions.listSessions().map(sessions.describeHealth),
+  });
+});
+
+// Start (or restart) a session from the saved token without making it active
+app.post('/api/accounts/:account/login', (req, res) => {
+  if (!sessions.logOnWithToken(req.params.account)) return res.status(400).json({ error: 'No saved token for that account' });
+  res.json({ ok: true });
+});
+
+// Log one account off; its saved token is kept
+app.post('/api/accounts/:account/logout', (req, res) => {
+  if (!sessions.logOff(req.params.account)) return res.status(404).json({ error: 'Account is not logged in' });
+  res.json({ ok: true });
+});
+
+// ── Per-account routes ────────────────────────────────────────────────────────
+// Everything that reads or changes an inventory lives on this router. It's
+// mounted at /api/accounts/:account/… for a specific account and at /api/… for
+// the active one; req.account is that account's session.
+const accountRoutes = express.Router({ mergeParams: true });
+
+accountRoutes.use((req, res, next) => {
+  const name = req.params.account ?? tokens.loadTokenFile().active;
+  const session = name ? sessions.getSession(name) : null;
+  if (req.params.account && !session && !(name in (tokens.loadTokenFile().accounts || {}))) {
+    return res.status(404).json({ error: `Unknown account: ${name}` });
+  }
+  req.account = session || { accountName: name, status: 'disconnected', csgo: null, steamId64: null };
+  next();
+});
+
 // ── GC guard ──────────────────────────────────────────────────────────────────
-function requireGC(res) {
-  if (connectionStatus !== 'connected') {
-    res.status(503).json({ error: 'Not connected to GC', status: connectionStatus });
+function requireGC(req, res) {
+  if (req.account.status !== 'connected') {
+    res.status(503).json({ error: 'Not connected to GC', account: req.account.accountName, status: req.account.status });
     return false;
   }
   return true;
 }
 
 // ── Inventory routes ──────────────────────────────────────────────────────────
-app.get('/api/inventory', (req, res) => {
-  if (!requireGC(res)) return;
-  const all = (csgo.inventory || []).filter(i => !(i.flags & 8) && i.origin !== 0); // exclude non-economy system items
+accountRoutes.get('/inventory', (req, res) => {
+  if (!requireGC(req, res)) return;
+  const all = (req.account.csgo.inventory || []).filter(i => !(i.flags & 8) && i.origin !== 0); // exclude non-economy system items
   const storageUnits = all.filter(i => i.casket_contained_item_count != null).map(formatItem);
   const inventory = all.filter(i => i.casket_id == null && i.casket_contained_item_count == null).map(formatItem);
   res.json({ inventory, storageUnits });
 });
 
-app.get('/api/storage/:casketId', (req, res) => {
-  if (!requireGC(res)) return;
-  csgo.getCasketContents(req.params.casketId, (err, items) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ items: (items || []).map(formatItem) });
-  });
+accountRoutes.get('/storage/:casketId', (req, res) => {
+  if (!requireGC(req, res)) return;
+  casketContents(req.account, req.params.casketId)
+    .then(items => res.json({ items: items.map(formatItem) }))
+    .catch(err => res.status(500).json({ error: err.message }));
 });
 
-app.post('/api/storage/:casketId/add-bulk', (req, res) => {
-  if (!requireGC(res)) return;
-  const { itemIds } = req.body;
+// ── Storage capacity ──────────────────────────────────────────────────────────
+accountRoutes.get('/storage-capacity', (req, res) => {
+  if (!requireGC(req, res)) return;
+  res.json({ units: storageUnits(req.account).map(i => casketCapacity(req.account, i.id)) });
+});
+
+// ── Storage unit names ────────────────────────────────────────────────────────
+const STORAGE_NAME_MAX = 20;
+const RENAME_TIMEOUT_MS = 10000;
+
+// Returns an error message, or null if the name is usable
+function validateStorageName(name) {
+  if (!name) return 'Name required';
+  if ([...name].length > STORAGE_NAME_MAX) return `Name must be at most ${STORAGE_NAME_MAX} characters`;
+  if (!/^[\p{L}\p{N}\p{P}\p{S} ]+$/u.test(name)) return 'Name contains unsupported characters';
+  if (/ {2}/.test(name)) return 'Name can\'t contain repeated spaces';
+  return null;
+}
+
+// Storage units are renamed without a name tag (nameTagId 0). The GC answers
+// with an itemChanged for the unit once the new name has been applied.
+// Body: { name }
+accountRoutes.post('/storage/:casketId/rename', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  const casket = storageUnits(req.account).find(i => i.id?.toString() === req.params.casketId);
+  if (!casket) return res.status(404).json({ error: 'Storage unit not found' });
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  const error = validateStorageName(name);
+  if (error) return res.status(400).json({ error });
+  if (casket.custom_name === name) return res.json({ ok: true, unit: formatItem(casket) });
+
+  const { csgo } = req.account;
+  try {
+    const renamed = await new Promise((resolve, reject) => {
+      const onChanged = (oldItem, item) => {
+        if (item.id?.toString() !== req.params.casketId || item.custom_name !== name) return;
+        clearTimeout(timeout);
+        csgo.removeListener('itemChanged', onChanged);
+        resolve(item);
+      };
+      const timeout = setTimeout(() => {
+        csgo.removeListener('itemChanged', onChanged);
+        reject(new Error('GC did not confirm the rename'));
+      }, RENAME_TIMEOUT_MS);
+      csgo.on('itemChanged', onChanged);
+      csgo.nameItem(0, req.params.casketId, name);
+    });
+    res.json({ ok: true, unit: formatItem(renamed) });
+  } catch (err) {
+    res.status(504).json({ error: err.message });
+  }
+});
+
+// Bulk moves are queued as jobs; poll GET /api/jobs/:id for per-item progress.
+// Body: { itemIds, overflow?: 'reject' | 'fit' } — 'fit' queues what fits and returns the rest
+accountRoutes.post('/storage/:casketId/add-bulk', (req, res) => {
+  if (!requireGC(req, res)) return;
+  const { itemIds, overflow = 'reject' } = req.body;
+  if (!Array.isArray(itemIds) || !itemIds.length) return res.status(400).json({ error: 'itemIds array required' });
+  const cap = casketCapacity(req.account, req.params.casketId);
+  if (!cap) return res.status(404).json({ error: 'Storage unit not found' });
+
+  const ids = [...new Set(itemIds.map(String))];
+  if (ids.length > cap.free && overflow !== 'fit') {
+    return res.status(409).json({ error: `Storage unit only has room for ${cap.free} more item${cap.free !== 1 ? 's' : ''}`, requested: ids.length, ...cap });
+  }
+  const accepted = ids.slice(0, cap.free);
+  const unplaced = ids.slice(cap.free);
+  if (!accepted.length) return res.status(409).json({ error: 'Storage unit is full', requested: ids.length, ...cap });
+  const job = jobs.createMoveJob(req.account.accountName, 'add', req.params.casketId, accepted, { source: 'add-bulk' });
+  res.json({ ok: true, jobId: job.id, operationId: job.operationId, queued: job.items.length, unplaced });
+});
+
+// POST /api/storage/distribute — spread items over several storage units
+// Body: { itemIds, casketIds?: [...], order?: 'listed' | 'least-full' }
+// Units are filled one after another (listed order, or emptiest first); without
+// casketIds every storage unit is a candidate. Creates one job per unit used.
+accountRoutes.post('/storage/distribute', (req, res) => {
+  if (!requireGC(req, res)) return;
+  const { itemIds, casketIds, order = 'listed' } = req.body;
   if (!Array.isArray(itemIds) || !itemIds.length) return res.status(400).json({ error: 'itemIds array required' });
-  itemIds.forEach((id, i) => setTimeout(() => csgo.addToCasket(req.params.casketId, id), i * 300));
-  res.json({ ok: true, queued: itemIds.length });
+  if (order !== 'listed' && order !== 'least-full') return res.status(400).json({ error: `Unknown order: ${order}` });
+
+  // A unit listed twice would have its free slots counted twice
+  const ids = Array.isArray(casketIds) && casketIds.length ? casketIds : storageUnits(req.account).map(i => i.id);
+  const targets = [...new Set(ids.map(String))].map(id => casketCapacity(req.account, id));
+  if (targets.some(t => !t)) return res.status(404).json({ error: 'Storage unit not found' });
+  if (order === 'least-full') targets.sort((a, b) => (a.count + a.reserved) - (b.count + b.reserved));
+
+  const remaining = [...new Set(itemIds.map(String))];
+  const created = [];
+  const operationId = crypto.randomUUID();
+  for (const target of targets) {
+    if (!remaining.length) break;
+    if (target.free === 0) continue;
+    const batch = remaining.splice(0, target.free);
+    const job = jobs.createMoveJob(req.account.accountName, 'add', target.casketId, batch, { source: 'distribute', operationId });
+    created.push({ casketId: target.casketId, name: target.name, jobId: job.id, queued: batch.length });
+  }
+  if (!created.length) return res.status(409).json({ error: 'No room left in the selected storage units', unplaced: remaining });
+  res.json({ ok: true, operationId, jobs: created, unplaced: remaining });
 });
 
-app.post('/api/storage/:casketId/remove-bulk', (req, res) => {
-  if (!requireGC(res)) return;
+accountRoutes.post('/storage/:casketId/remove-bulk', (req, res) => {
+  if (!requireGC(req, res)) return;
   const { itemIds } = req.body;
   if (!Array.isArray(itemIds) || !itemIds.length) return res.status(400).json({ error: 'itemIds array required' });
-  itemIds.forEach((id, i) => setTimeout(() => csgo.removeFromCasket(req.params.casketId, id), i * 300));
-  res.json({ ok: true, queued: itemIds.length });
+  const job = jobs.createMoveJob(req.account.accountName, 'remove', req.params.casketId, itemIds, { source: 'remove-bulk' });
+  res.json({ ok: true, jobId: job.id, operationId: job.operationId, queued: job.items.length });
 });
 
-// Debug: show all items grouped by resolved type + unknowns with raw GC data
+// ── Search ────────────────────────────────────────────────────────────────────
+// GET /api/search?q=&type[]=&rarity[]=&wear[]=FN&minFloat=&maxFloat=&stattrak=true|false
+//                &souvenir=true|false&star=true|false&phase[]=Ruby&sticker=
+// Searches every storage unit through the cached index; each hit carries its unit.
+accountRoutes.get('/search', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  const filters = {
+    text: String(req.query.q || '').trim() || null,
+    types: queryList(req.query, 'type'),
+    rarities: queryList(req.query, 'rarity'),
+    wears: queryList(req.query, 'wear'),
+    minFloat: req.query.minFloat != null ? Number(req.query.minFloat) : null,
+    maxFloat: req.query.maxFloat != null ? Number(req.query.maxFloat) : null,
+    stattrak: req.query.stattrak != null ? req.query.stattrak === 'true' : null,
+    souvenir: req.query.souvenir != null ? req.query.souvenir === 'true' : null,
+    star: req.query.star != null ? req.query.star === 'true' : null,
+    phases: queryList(req.query, 'phase'),
+    sticker: String(req.query.sticker || '').trim() || null,
+  };
+  for (const key of ['minFloat', 'maxFloat']) {
+    if (filters[key] != null && !(filters[key] >= 0 && filters[key] <= 1)) {
+      return res.status(400).json({ error: `${key} must be a number between 0 and 1` });
+    }
+  }
+  const badWear = filters.wears.find(w => !storageIndex.WEAR_SHORT_NAMES.includes(w.toUpperCase()));
+  if (badWear) return res.status(400).json({ error: `Unknown wear ${badWear} (use ${storageIndex.WEAR_SHORT_NAMES.join(', ')})` });
+  const badPhase = filters.phases.find(p => !storageIndex.PHASE_NAMES.some(n => n.toLowerCase() === p.toLowerCase()));
+  if (badPhase) return res.status(400).json({ error: `Unknown phase ${badPhase} (use ${storageIndex.PHASE_NAMES.join(', ')})` });
 
-// Debug: dump all raw GC fields for a specific def_index
-app.get('/api/debug/gcfields/:defindex', (req, res) => {
-  if (!requireGC(res)) return;
-  const all = (csgo.inventory || []).filter(i => !(i.flags & 8) && i.origin !== 0); // exclude non-economy system items
-  const all_unfiltered = csgo.inventory || [];
-  const match = all_unfiltered.filter(i => String(i.def_index) === req.params.defindex);
-  if (!match.length) return res.json({ error: 'not found' });
-  res.json(match);
+  try {
+    const units = storageUnits(req.account).map(formatItem);
+    await storageIndex.ensureIndexed(req.account.accountName, units.map(u => u.id));
+    const unitById = new Map(units.map(u => [u.id, u]));
+    const items = storageIndex.searchItems(storageIndex.indexedItems(req.account.accountName).map(formatItem), filters).map(item => ({
+      ...item,
+      unit: { id: item.casketId, name: unitById.get(item.casketId)?.customName || null },
+    }));
+    res.json({ count: items.length, items, index: storageIndex.indexStatus(req.account.accountName) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.get('/api/debug/raw', (req, res) => {
-  if (!requireGC(res)) return;
-  const all = (csgo.inventory || []).filter(i => !(i.flags & 8) && i.origin !== 0); // exclude non-economy system items
-  const items = all.filter(i => !i.paint_index && i.casket_contained_item_count == null && i.casket_id == null).map(i => {
-    const schema = lookupSchema(i);
-    return { def_index: i.def_index, quality: i.quality, resolved: schema?.name || null, fromType: schema ? '_lookupSchema' : null };
+// ── Auto-organize ─────────────────────────────────────────────────────────────
+
+app.get('/api/organize/rules', (req, res) => {
+  res.json({ rules: organize.loadRules() });
+});
+
+app.put('/api/organize/rules', (req, res) => {
+  const { rules } = req.body;
+  const errors = organize.validateRules(rules);
+  if (errors.length) return res.status(400).json({ error: 'Invalid rules', details: errors });
+  organize.saveRules(rules);
+  res.json({ ok: true, rules });
+});
+
+// POST /api/organize/plan — dry run: which moves would bring every item in line with the rules
+accountRoutes.post('/organize/plan', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  const rules = organize.loadRules();
+  if (!rules.length) return res.status(400).json({ error: 'No organize rules defined' });
+  try {
+    const { items, units } = await collectAllItems(req.account);
+    res.json(organize.buildPlan(items.map(formatItem), units.map(formatItem), rules));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/organize/execute — Body: { planId } from a previous /plan call
+accountRoutes.post('/organize/execute', (req, res) => {
+  if (!requireGC(req, res)) return;
+  const plan = organize.takePlan(req.body.planId);
+  if (!plan) return res.status(404).json({ error: 'Plan not found or expired — create a new one' });
+  const operationId = crypto.randomUUID();
+  const created = organize.planBatches(plan).map(batch => {
+    const job = jobs.createMoveJob(req.account.accountName, batch.direction, batch.casketId, batch.itemIds, { source: 'organize', operationId });
+    return { type: batch.direction, casketId: batch.casketId, jobId: job.id, queued: job.items.length };
   });
-  res.json({
-    mapSizes: Object.fromEntries(Object.entries(schemaByType).map(([k,v]) => [k, Object.keys(v).length])),
-    items
+  res.json({ ok: true, operationId, jobs: created });
+});
+
+// ── Snapshots ─────────────────────────────────────────────────────────────────
+const SNAPSHOT_INTERVAL_MIN = Number(process.env.SKINTOOLS_SNAPSHOT_INTERVAL_MIN ?? 60); // 0 disables
+
+async function snapshotNow(session, reason) {
+  const { items, units } = await collectAllItems(session);
+  return snapshots.takeSnapshot(session.accountName, {
+    steamId: session.steamId64,
+    items: items.map(formatItem),
+    units: units.map(formatItem),
+    reason,
+  });
+}
+
+accountRoutes.get('/snapshots', (req, res) => {
+  res.json({ account: req.account.accountName, snapshots: snapshots.listSnapshots(req.account.accountName) });
+});
+
+accountRoutes.post('/snapshots', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  try {
+    const snap = await snapshotNow(req.account, req.body?.reason || 'manual');
+    res.json({ ok: true, id: snap.id, takenAt: snap.takenAt, itemCount: snap.items.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/snapshots/diff?from=<id>&to=<id|current> — items gained, lost and moved
+accountRoutes.get('/snapshots/diff', async (req, res) => {
+  const { from, to = 'current' } = req.query;
+  const before = snapshots.loadSnapshot(req.account.accountName, String(from || ''));
+  if (!before) return res.status(404).json({ error: 'from snapshot not found' });
+  let after;
+  if (to === 'current') {
+    if (!requireGC(req, res)) return;
+    try {
+      const { items, units } = await collectAllItems(req.account);
+      after = { id: 'current', takenAt: new Date().toISOString(), items: items.map(formatItem), units: units.map(u => ({ id: u.id.toString(), name: u.custom_name || null })) };
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  } else {
+    after = snapshots.loadSnapshot(req.account.accountName, String(to));
+    if (!after) return res.status(404).json({ error: 'to snapshot not found' });
+  }
+  res.json(snapshots.diffSnapshots(before, after));
+});
+
+accountRoutes.get('/snapshots/:id', (req, res) => {
+  const snap = snapshots.loadSnapshot(req.account.accountName, req.params.id);
+  if (!snap) return res.status(404).json({ error: 'Snapshot not found' });
+  res.json(snap);
+});
+
+// ── Export ────────────────────────────────────────────────────────────────────
+// GET /api/export?format=csv|json — every item in the inventory and all storage units
+accountRoutes.get('/export', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  const format = req.query.format || 'csv';
+  if (format !== 'csv' && format !== 'json') return res.status(400).json({ error: `Unknown format: ${format}` });
+  try {
+    const { items, units } = await collectAllItems(req.account);
+    const formattedUnits = units.map(formatItem);
+    const rows = exportRows(items.map(formatItem), formattedUnits);
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `skintools-${(req.account.accountName || 'inventory').replace(/[^\w.-]/g, '_')}-${date}.${format}`;
+    res.attachment(filename);
+    if (format === 'csv') return res.type('text/csv').send(toCsv(rows));
+    res.json({
+      exportedAt: new Date().toISOString(),
+      account: req.account.accountName,
+      steamId: req.account.steamId64,
+      storageUnits: formattedUnits.map(u => ({ id: u.id, name: u.customName, count: u.casketCount })),
+      items: rows,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Job routes ────────────────────────────────────────────────────────────────
+// GET /api/jobs?account= — every account's jobs, or just one's
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: jobs.listJobs(req.query.account).map(jobs.describeJob) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(jobs.describeJob(job));
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobs.cancelJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(jobs.describeJob(job));
+});
+
+// ── Audit log ─────────────────────────────────────────────────────────────────
+// GET /api/audit?type=move|tradeup&limit=100 — the account's moves and trade-ups, newest first
+accountRoutes.get('/audit', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 2000);
+  const entries = auditLog.listEntries(req.account.accountName, { type: req.query.type, limit });
+  res.json({ entries: entries.map(auditLog.describeEntry) });
+});
+
+// GET /api/audit/:id — one operation with every item's from/to and result
+accountRoutes.get('/audit/:id', (req, res) => {
+  const entry = auditLog.getEntry(req.account.accountName, req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Operation not found' });
+  res.json(entry);
+});
+
+// POST /api/audit/:id/undo — move a finished operation's items back where they
+// came from; items that have moved since are skipped. Queued as jobs like any move.
+accountRoutes.post('/audit/:id/undo', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  const account = req.account.accountName;
+  let plan;
+  try {
+    plan = await auditLog.planUndo(req.account, req.params.id);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  const { operationId, batches, skipped, error, status } = plan;
+  if (error) return res.status(status).json({ error, skipped });
+  auditLog.startUndo(account, req.params.id, operationId);
+  const created = batches.map(batch => {
+    const job = jobs.createMoveJob(account, batch.direction, batch.casketId, batch.itemIds, { source: 'undo', operationId });
+    return { type: batch.direction, casketId: batch.casketId, jobId: job.id, queued: job.items.length };
   });
+  res.json({ ok: true, operationId, jobs: created, skipped });
+});
+
+// ── Item overrides ────────────────────────────────────────────────────────────
+// GET/PUT /api/overrides — names and icons that take priority over the schema (see overrides.js)
+app.get('/api/overrides', (req, res) => {
+  res.json({ overrides: overrides.loadOverrides(), builtIn: overrides.BUILT_IN_OVERRIDES });
+});
+
+app.put('/api/overrides', (req, res) => {
+  const list = req.body?.overrides;
+  const errors = overrides.validateOverrides(list);
+  if (errors.length) return res.status(400).json({ error: 'Invalid overrides', details: errors });
+  overrides.saveOverrides(list);
+  res.json({ ok: true, overrides: list });
+});
+
+// Pick up hand edits to data/item-overrides.json
+app.post('/api/overrides/reload', (req, res) => {
+  res.json({ ok: true, overrides: overrides.reloadOverrides() });
 });
 
-app.get('/api/debug/items', (req, res) => {
-  if (!requireGC(res)) return;
-  const all = (csgo.inventory || []).filter(i => !(i.flags & 8) && i.origin !== 0); // exclude non-economy system items
-  const summary = {};
-  const unknowns = [];
-  for (const item of all) {
-    const schema = lookupSchema(item);
-    const name = schema?.name || 'UNKNOWN';
-    // Group by resolved name prefix (first word)
-    const group = schema ? (name.includes('Sticker') ? 'Sticker' : name.includes('Case') ? 'Case' : name.includes('Key') ? 'Key' : 'Other:'+name.substring(0,30)) : 'UNKNOWN';
-    summary[group] = (summary[group] || 0) + 1;
-    if (!schema) unknowns.push({ def_index: item.def_index, paint_index: item.paint_index, quality: item.quality, rarity: item.rarity });
+// GET /api/items/unknown — inventory and storage unit items nothing can name,
+// grouped, with a suggested override for each group
+accountRoutes.get('/items/unknown', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  const account = req.account.accountName;
+  try {
+    await storageIndex.ensureIndexed(account, storageUnits(req.account).map(u => u.id.toString()));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
   }
-  res.json({ total: all.length, summary, unknowns });
+  res.json({
+    ...unknownItemReport([...(req.account.csgo.inventory || []), ...storageIndex.indexedItems(account)]),
+    schemaVersion: schemaMeta.version,
+    mapSizes: Object.fromEntries(Object.entries(schemaByType).map(([k, v]) => [k, Object.keys(v).length])),
+  });
 });
 
-// Reload schema on demand
+// Reload schema on demand and report what changed since the previous version
 app.post('/api/refresh-web-inventory', async (req, res) => {
-  schemaLoaded = false;
-  await loadItemSchema();
-  res.json({ ok: true, count: Object.keys(itemSchema).length });
+  const previousVersion = schemaMeta.version;
+  const result = await refreshItemSchema();
+  res.json({
+    ok: true,
+    count: Object.keys(schemaByType.skin || {}).length,
+    previousVersion,
+    ...result,
+  });
+});
+
+app.get('/api/schema', (req, res) => {
+  res.json({
+    ...schemaMeta,
+    counts: Object.fromEntries(Object.entries(schemaByType).map(([k, v]) => [k, Object.keys(v).length])),
+    ...schema.languageStatus(),
+  });
+});
+
+// GET/PUT /api/schema/language — the language item names are shown in for this install
+// Body: { language: 'de' }. Names it lacks stay English; market names always are.
+app.get('/api/schema/language', (req, res) => {
+  res.json(schema.languageStatus());
+});
+
+app.put('/api/schema/language', async (req, res) => {
+  try {
+    await schema.setLanguage(req.body?.language);
+  } catch (err) {
+    return res.status(err.status || 502).json({ error: err.message });
+  }
+  res.json(schema.languageStatus());
 });
 
 // Debug: show raw skin schema entry for a defindex_paintindex
-app.get('/api/debug/gcitem/:id', (req, res) => {
-  if (!csgo?.inventory) return res.status(503).json({ error: 'Not connected' });
-  const item = csgo.inventory.find(i => i.id?.toString() === req.params.id);
+accountRoutes.get('/debug/gcitem/:id', (req, res) => {
+  if (!req.account.csgo?.inventory) return res.status(503).json({ error: 'Not connected' });
+  const item = req.account.csgo.inventory.find(i => i.id?.toString() === req.params.id);
   if (!item) return res.json({ error: 'not found' });
   res.json({
     id: item.id?.toString(),
@@ -462,168 +733,291 @@ app.get('/api/debug/gcitem/:id', (req, res) => {
   });
 });
 
+// Debug: simulate connection trouble (simulator backend only)
+// Body: { kind: 'gc' | 'steam' | 'elsewhere' | 'expired', outageMs?: number }
+accountRoutes.post('/debug/drop-connection', (req, res) => {
+  const { client } = req.account;
+  if (typeof client?.simulateDrop !== 'function') return res.status(400).json({ error: 'Only the simulator backend can drop connections' });
+  try {
+    client.simulateDrop(req.body?.kind, req.body?.outageMs);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ ok: true });
+});
+
 app.get('/api/debug/skin/:key', (req, res) => {
   const entry = schemaByType.skin?.[req.params.key];
   res.json(entry || { error: 'not found' });
 });
 
 // GET /api/tradeup/eligible — returns all inventory skins grouped by rarity with trade-up metadata
-app.get('/api/tradeup/eligible', (req, res) => {
-  if (!csgo?.inventory) return res.status(503).json({ error: 'Not connected' });
-  const all = csgo.inventory;
-  const now = new Date();
-  const items = all.filter(i =>
-    !(i.flags & 8) &&
-    i.origin !== 0 &&
-    i.casket_id == null &&
-    i.casket_contained_item_count == null &&
-    i.paint_index != null && i.paint_index !== 0 &&
-    !(i.tradable_after && i.tradable_after > now)
-  );
-
-  const result = items.map(item => {
-    const key = `${item.def_index}_${item.paint_index}`;
-    const schema = schemaByType.skin?.[key] || {};
-    return {
-      id: item.id?.toString(),
-      defIndex: item.def_index,
-      paintIndex: item.paint_index,
-      paintwear: item.paint_wear ?? null,
-      stattrak: item.kill_eater_value !== undefined,
-      name: schema.name || null,
-      iconUrl: schema.iconUrl || null,
-      rarity: schema.rarity || null,
-      minFloat: schema.minFloat ?? 0,
-      maxFloat: schema.maxFloat ?? 1,
-      collections: schema.collections || [],
-    };
-  });
-
-  res.json({ items: result });
+accountRoutes.get('/tradeup/eligible', (req, res) => {
+  if (!req.account.csgo?.inventory) return res.status(503).json({ error: 'Not connected' });
+  res.json({ items: tradeupEligible(req.account).map(tradeup.tradeupItem), contracts: tradeup.CONTRACTS });
 });
 
-// GET /api/tradeup/outputs?collections[]=...&rarity=...&stattrak=false
-// Returns all possible output skins for a given set of collections + rarity
-app.get('/api/tradeup/outputs', (req, res) => {
-  const targetRarityMap = {
-    'rarity_common_weapon':    'rarity_uncommon_weapon',
-    'rarity_uncommon_weapon':  'rarity_rare_weapon',
-    'rarity_rare_weapon':      'rarity_mythical_weapon',
-    'rarity_mythical_weapon':  'rarity_legendary_weapon',
-    'rarity_legendary_weapon': 'rarity_ancient_weapon',
-  };
+// Query params may arrive as `name[]=a&name[]=b`, `name=a&name=b` or `name=a,b`
+function queryList(query, name) {
+  const raw = query[`${name}[]`] ?? query[name];
+  const list = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return list.flatMap(v => String(v).split(',')).filter(Boolean);
+}
+
+// GET /api/tradeup/outputs?itemIds[]=...
+// Full calculator for the selected inputs: every possible output with its probability
+// (weighted by how many inputs come from each collection) and predicted float/wear.
+// Legacy form ?collections[]=...&rarity=... just lists the possible output skins
+// (for Covert, ?cases[]=...&stattrak=true lists the knives and gloves of those cases).
+accountRoutes.get('/tradeup/outputs', (req, res) => {
+  const itemIds = queryList(req.query, 'itemIds');
+  if (itemIds.length) {
+    if (!req.account.csgo?.inventory) return res.status(503).json({ error: 'Not connected' });
+    const gcMap = new Map(req.account.csgo.inventory.map(i => [i.id?.toString(), i]));
+    const missing = itemIds.filter(id => !gcMap.has(id));
+    if (missing.length) return res.status(404).json({ error: 'Items not found in inventory', missing });
+    return res.json(tradeup.calculateTradeup(itemIds.map(id => tradeup.tradeupItem(gcMap.get(id)))));
+  }
 
   const inputRarity = req.query.rarity;
-  const targetRarity = targetRarityMap[inputRarity];
+  const targetRarity = tradeup.TARGET_RARITY[inputRarity];
   if (!targetRarity) return res.json({ outputs: [] });
+  const groups = [...queryList(req.query, 'collections'), ...queryList(req.query, 'cases')];
+  res.json({ outputs: tradeup.possibleOutputs(inputRarity, groups, { stattrak: req.query.stattrak === 'true' }), targetRarity });
+});
+
+// POST /api/tradeup/execute — performs the trade-up contract and records it in the history
+// Body: { itemIds: [item id strings — 10, or 5 for Covert], rarity: string }
+accountRoutes.post('/tradeup/execute', async (req, res) => {
+  const session = req.account;
+  if (!session.csgo || session.status !== 'connected') return res.status(503).json({ error: 'Not connected to GC' });
+  if (session.pendingCraftResolve) return res.status(409).json({ error: 'Another trade-up is in progress' });
 
-  const rawCollections = req.query['collections[]'] ?? req.query.collections;
-  const inputCollections = Array.isArray(rawCollections)
-    ? rawCollections
-    : rawCollections ? [rawCollections] : [];
-
-  // Find all skins of the target rarity that belong to any of the input collections
-  const outputs = [];
-  const skinMap = schemaByType.skin || {};
-  for (const [key, skin] of Object.entries(skinMap)) {
-    if (skin.rarity !== targetRarity) continue;
-    const inCollection = skin.collections?.some(c => inputCollections.includes(c));
-    if (inCollection) outputs.push({ ...skin, key });
+  const { itemIds, rarity } = req.body;
+  const contract = tradeup.CONTRACTS[rarity];
+  if (!contract) return res.status(400).json({ error: `Unknown rarity: ${rarity}` });
+  if (contract.recipe == null) return res.status(501).json({ error: tradeup.recipeError(rarity) });
+  if (!Array.isArray(itemIds) || itemIds.length !== contract.inputCount) {
+    return res.status(400).json({ error: `Exactly ${contract.inputCount} item IDs required` });
   }
+  const ids = itemIds.map(String);
+  const repeated = ids.filter((id, n) => ids.indexOf(id) !== n);
+  if (repeated.length) return res.status(400).json({ error: 'Each item can only go into the contract once', repeated });
+  const gcIds = new Set((session.csgo.inventory || []).map(i => i.id?.toString()));
+  const missing = ids.filter(id => !gcIds.has(id));
+  if (missing.length) return res.status(400).json({ error: 'Items not found in inventory', missing });
+  const recipe = contract.recipe;
 
-  res.json({ outputs, targetRarity });
+  try {
+    res.json(await tradeupHistory.performTradeup(session, ids, recipe, 'execute'));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// POST /api/tradeup/execute — performs the trade-up contract
-// Body: { itemIds: [10 item id strings], rarity: string }
-app.post('/api/tradeup/execute', async (req, res) => {
-  if (!csgo || connectionStatus !== 'connected') return res.status(503).json({ error: 'Not connected to GC' });
-  if (pendingCraftResolve) return res.status(409).json({ error: 'Another trade-up is in progress' });
+// GET /api/tradeup/history?limit=50 — recorded contracts (newest first) with
+// expected vs. actual outcomes per collection, tier and kind of contract
+accountRoutes.get('/tradeup/history', (req, res) => {
+  const limit = req.query.limit != null ? Number(req.query.limit) : 50;
+  if (!Number.isInteger(limit) || limit < 0) return res.status(400).json({ error: 'limit must be a whole number' });
+  const records = tradeupHistory.loadHistory(req.account.accountName);
+  res.json({
+    account: req.account.accountName,
+    stats: tradeupHistory.historyStats(records),
+    records: records.slice(Math.max(0, records.length - limit)).reverse(),
+  });
+});
 
-  const { itemIds, rarity } = req.body;
-  if (!Array.isArray(itemIds) || itemIds.length !== 10) {
-    return res.status(400).json({ error: 'Exactly 10 item IDs required' });
+// ── Trade-up batches ──────────────────────────────────────────────────────────
+// POST /api/tradeup/batches — plan and start a run of contracts on the server
+// Body: { rarity, count?, order?: 'random' | 'lowest-float', collection?,
+//         stattrak?: true | false | 'both', skipNamed?: true, maxKills?, dryRun? }
+// dryRun returns the planned contracts without running them.
+accountRoutes.post('/tradeup/batches', (req, res) => {
+  if (!requireGC(req, res)) return;
+  const { dryRun, ...options } = req.body || {};
+  const errors = tradeupBatch.validateStrategy(options);
+  if (errors.length) return res.status(400).json({ error: 'Invalid batch options', details: errors });
+  if (dryRun) return res.json(tradeupBatch.planContracts(req.account, options));
+  const { batch, error, status } = tradeupBatch.createBatch(req.account, options);
+  if (error) return res.status(status).json({ error });
+  res.json({ ok: true, batchId: batch.id, ...tradeupBatch.describeBatch(batch) });
+});
+
+// GET /api/tradeup/batches?account= — every account's batches, or just one's
+app.get('/api/tradeup/batches', (req, res) => {
+  res.json({ batches: tradeupBatch.listBatches(req.query.account).map(tradeupBatch.describeBatch) });
+});
+
+app.get('/api/tradeup/batches/:id', (req, res) => {
+  const batch = tradeupBatch.getBatch(req.params.id);
+  if (!batch) return res.status(404).json({ error: 'Batch not found' });
+  res.json(tradeupBatch.describeBatch(batch));
+});
+
+for (const action of ['pause', 'resume', 'cancel']) {
+  app.post(`/api/tradeup/batches/:id/${action}`, (req, res) => {
+    const batch = tradeupBatch.getBatch(req.params.id);
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    res.json(tradeupBatch.describeBatch(tradeupBatch[`${action}Batch`](batch)));
+  });
+}
+
+// ── Trade-hold unlocks ────────────────────────────────────────────────────────
+// GET /api/unlocks — trade-locked items (inventory and storage units) grouped by
+// the day they unlock, plus this account's scheduled actions
+accountRoutes.get('/unlocks', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  try {
+    const upcoming = await unlocks.upcomingUnlocks(req.account);
+    res.json({ ...upcoming, actions: unlocks.listActions(req.account.accountName) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const recipeMap = {
-    'rarity_common_weapon':    0,
-    'rarity_uncommon_weapon':  1,
-    'rarity_rare_weapon':      2,
-    'rarity_mythical_weapon':  3,
-    'rarity_legendary_weapon': 4,
-  };
-  const recipe = recipeMap[rarity];
-  if (recipe === undefined) return res.status(400).json({ error: `Unknown rarity: ${rarity}` });
+// POST /api/unlocks/actions — run something once all the items have unlocked
+// Body: { type: 'move-to-storage', itemIds, casketId }
+//     | { type: 'tradeup-batch', itemIds, options: { rarity, … batch options } }
+accountRoutes.post('/unlocks/actions', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  try {
+    // Index the storage units so items held in them can be scheduled too
+    await storageIndex.ensureIndexed(req.account.accountName, storageUnits(req.account).map(u => u.id.toString()));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  const { action, error, status, details } = unlocks.scheduleAction(req.account, req.body || {});
+  if (error) return res.status(status).json({ error, ...(details ? { details } : {}) });
+  res.json({ ok: true, ...action });
+});
+
+// GET /api/unlocks/actions?account= — every account's scheduled actions, or just one's
+app.get('/api/unlocks/actions', (req, res) => {
+  res.json({ actions: unlocks.listActions(req.query.account) });
+});
+
+app.get('/api/unlocks/actions/:id', (req, res) => {
+  const action = unlocks.getAction(req.params.id);
+  if (!action) return res.status(404).json({ error: 'Scheduled action not found' });
+  res.json(action);
+});
+
+app.post('/api/unlocks/actions/:id/cancel', (req, res) => {
+  const action = unlocks.getAction(req.params.id);
+  if (!action) return res.status(404).json({ error: 'Scheduled action not found' });
+  res.json(unlocks.cancelAction(action));
+});
+
+// ── Prices & valuation ────────────────────────────────────────────────────────
+app.get('/api/prices', (req, res) => {
+  res.json(prices.priceStatus());
+});
 
+// POST /api/prices/import?format=csv|json&mode=merge|replace&currency=USD
+// Body: the price list itself, sent as text (any content type but application/json),
+// or as a JSON body for small lists
+app.post('/api/prices/import', express.text({ type: () => true, limit: '50mb' }), async (req, res) => {
+  const format = req.query.format || (typeof req.body === 'string' && !/^\s*[[{]/.test(req.body) ? 'csv' : 'json');
+  if (format !== 'csv' && format !== 'json') return res.status(400).json({ error: `Unknown format: ${format}` });
+  const mode = req.query.mode || 'merge';
+  if (mode !== 'merge' && mode !== 'replace') return res.status(400).json({ error: `Unknown mode: ${mode}` });
   try {
-    const result = await new Promise((resolve, reject) => {
-      pendingCraftResolve = resolve;
-      const timeout = setTimeout(() => {
-        pendingCraftResolve = null;
-        reject(new Error('Trade-up timed out'));
-      }, 15000);
+    const result = prices.importPrices(format, req.body, { currency: req.query.currency, mode });
+    await prices.reloadPrices();
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: `Import failed: ${err.message}` });
+  }
+});
 
-      pendingCraftResolve = (result) => {
-        clearTimeout(timeout);
-        resolve(result);
-      };
+app.post('/api/prices/reload', async (req, res) => {
+  res.json(await prices.reloadPrices());
+});
 
-      console.log(`Crafting: recipe=${recipe} (rarity=${rarity}), items=[${itemIds.join(',')}]`);
-      // Verify all items exist in GC inventory and log their origins
-      const gcMap = new Map(csgo.inventory.map(i => [i.id?.toString(), i]));
-      itemIds.forEach(id => {
-        const i = gcMap.get(id);
-        if (i) console.log(`  item ${id}: origin=${i.origin} flags=${i.flags} quality=${i.quality} rarity=${i.rarity} def=${i.def_index} paint=${i.paint_index}`);
-        else console.warn(`  item ${id}: NOT FOUND in GC inventory`);
-      });
-      csgo.craft(itemIds, recipe);
-    });
+accountRoutes.get('/value/inventory', (req, res) => {
+  if (!requireGC(req, res)) return;
+  const all = (req.account.csgo.inventory || []).filter(i => !(i.flags & 8) && i.origin !== 0);
+  const inventory = all.filter(i => i.casket_id == null && i.casket_contained_item_count == null).map(formatItem);
+  res.json(prices.valueItems(inventory));
+});
 
-    res.json(result);
+// Per storage unit totals (without the per-item breakdown)
+accountRoutes.get('/value/storage', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  try {
+    const units = [];
+    for (const unit of storageUnits(req.account)) {
+      const { groups, unpriced, ...totals } = prices.valueItems((await casketContents(req.account, unit.id)).map(formatItem));
+      units.push({ casketId: unit.id.toString(), name: unit.custom_name || null, ...totals });
+    }
+    res.json({ currency: prices.priceStatus().currency, units });
   } catch (err) {
-    pendingCraftResolve = null;
     res.status(500).json({ error: err.message });
   }
 });
 
-// ── Item formatter ────────────────────────────────────────────────────────────
-function formatItem(item) {
-  const id = item.id?.toString();
-  const schema = lookupSchema(item) || {};
-  const now = new Date();
-  const tradableAfter = item.tradable_after ? new Date(item.tradable_after) : null;
-  return {
-    id,
-    defindex: item.def_index,
-    paintindex: item.paint_index,
-    paintwear: item.paint_wear ?? null,
-    paintseed: item.paint_seed ?? null,
-    customName: item.custom_name || null,
-    casketId: item.casket_id?.toString() || null,
-    casketCount: item.casket_contained_item_count ?? null,
-    stattrak: item.kill_eater_value !== undefined,
-    stattrakValue: item.kill_eater_value ?? null,
-    name: schema.name || null,
-    iconUrl: schema.iconUrl || null,
-    tradeLocked: tradableAfter ? tradableAfter > now : false,
-    tradableAfter: tradableAfter ? tradableAfter.toISOString() : null,
-  };
-}
+accountRoutes.get('/value/storage/:casketId', async (req, res) => {
+  if (!requireGC(req, res)) return;
+  try {
+    res.json(prices.valueItems((await casketContents(req.account, req.params.casketId)).map(formatItem)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/value/tradeup?itemIds[]=... — cost of the inputs vs. expected value of the output
+accountRoutes.get('/value/tradeup', (req, res) => {
+  if (!req.account.csgo?.inventory) return res.status(503).json({ error: 'Not connected' });
+  const itemIds = queryList(req.query, 'itemIds');
+  const gcMap = new Map(req.account.csgo.inventory.map(i => [i.id?.toString(), i]));
+  const missing = itemIds.filter(id => !gcMap.has(id));
+  if (!itemIds.length || missing.length) return res.status(400).json({ error: 'itemIds must name items in the inventory', missing });
+
+  const calc = tradeup.calculateTradeup(itemIds.map(id => tradeup.tradeupItem(gcMap.get(id))));
+  res.json({
+    ...prices.valueTradeup(itemIds.map(id => formatItem(gcMap.get(id))), calc),
+    warnings: calc.warnings,
+  });
+});
+
+app.use('/api/accounts/:account', accountRoutes);
+app.use('/api', accountRoutes);
 
 // ── Start ─────────────────────────────────────────────────────────────────────
-const PORT = 3000;
-app.listen(PORT, () => {
+app.listen(PORT, HOST, () => {
   console.log(`\n🎮 SkinTools running at http://localhost:${PORT}\n`);
+  if (backend.backendName() !== 'steam') console.log(`Using the ${backend.backendName()} backend — no connection to Steam\n`);
+  if (!security.isLoopbackHost(HOST)) {
+    const shown = HOST === '0.0.0.0' || HOST === '::' ? '<this-machine>' : HOST.includes(':') ? `[${HOST}]` : HOST;
+    console.log(`Listening on ${HOST}. From other devices, open once: http://${shown}:${PORT}/?secret=${security.sessionSecret()}\n`);
+  }
 
-  // Load schema on startup (no auth required)
+  // Load schema and prices on startup (no auth required)
   loadItemSchema();
+  prices.reloadPrices();
+  unlocks.startScheduler();
+
+  if (SNAPSHOT_INTERVAL_MIN > 0) {
+    setInterval(() => {
+      for (const session of sessions.listSessions()) {
+        if (session.status !== 'connected') continue;
+        snapshotNow(session, 'periodic').catch(err => console.warn(`[${session.accountName}] Periodic snapshot failed:`, err.message));
+      }
+    }, SNAPSHOT_INTERVAL_MIN * 60 * 1000);
+  }
 
-  // Auto-login with saved token if available
-  const saved = loadToken();
-  if (saved?.token) {
-    console.log(`Auto-logging in as ${saved.accountName}...`);
-    createClients();
-    currentLoginAccount = saved.accountName;
-    client.logOn({ refreshToken: saved.token });
+  try {
+    if (vault.unlockFromEnv()) console.log('Token vault unlocked from SKINTOOLS_VAULT_PASSPHRASE');
+  } catch (err) {
+    console.error('Could not unlock token vault:', err.message);
   }
+  const { locked, error } = vault.vaultStatus();
+  if (locked) {
+    console.log(error || 'Token vault is locked — unlock it in the browser to log in');
+    return;
+  }
+
+  // Auto-login every account with a saved token
+  autoLogin();
 });
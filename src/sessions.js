@@ -0,0 +1,369 @@
+const { EventEmitter } = require('events');
+const backend = require('./backend');
+const jobs = require('./jobs');
+const storageIndex = require('./storageindex');
+const tokens = require('./tokens');
+
+// ── Steam sessions ────────────────────────────────────────────────────────────
+// One Steam client + CS2 GC connection per account, all logged in side by side
+// (created by the configured backend, see backend.js).
+// Each session keeps its own connection status, SteamID, Steam Guard prompt and
+// pending craft. sessionEvents relays what happens so the server can push it out:
+//
+//   'status' (session, reason)                      — session.status changed
+//   'gc'     (session, eventName, ...args)          — itemAcquired, itemChanged, itemRemoved, craftingComplete
+//
+// Statuses: disconnected, connecting, steamguard, connected, reconnecting
+// (waiting out the backoff before logging in again), elsewhere (the account is
+// playing on another machine), expired (the saved token no longer works) and
+// error:<message> (failed with nothing to reconnect with).
+const sessions = new Map(); // accountName → session
+const sessionEvents = new EventEmitter();
+
+// ── Reconnection ──────────────────────────────────────────────────────────────
+// A session that drops logs back in with its saved refresh token, waiting a bit
+// longer after each failed try. Being logged in elsewhere retries on a slow
+// timer, so a game running on another PC isn't kicked off every few seconds;
+// an expired or revoked token stops retrying until someone logs in again.
+const RECONNECT_BASE_MS = 5000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+const ELSEWHERE_RETRY_MS = 10 * 60 * 1000;
+const GC_STALL_MS = 2 * 60 * 1000; // Steam is up but the GC hasn't come back: log in again
+
+// steam-user EResult codes that decide what an error means
+const ERESULT_ELSEWHERE = [6, 34];       // LoggedInElsewhere, LogonSessionReplaced
+const ERESULT_EXPIRED = [5, 15, 27, 63]; // InvalidPassword, AccessDenied, Expired, AccountLogonDenied
+function getSession(accountName) {
+  return sessions.get(accountName) || null;
+}
+
+function listSessions() {
+  return [...sessions.values()];
+}
+
+function setStatus(session, status, reason = null) {
+  if (status !== session.status) session.health.statusSince = new Date().toISOString();
+  session.status = status;
+  sessionEvents.emit('status', session, reason);
+}
+
+function classifyError(err) {
+  if (ERESULT_ELSEWHERE.includes(err.eresult)) return 'elsewhere';
+  if (ERESULT_EXPIRED.includes(err.eresult)) return 'expired';
+  return 'transient';
+}
+
+function backoff(attempts) {
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempts);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Log in again after `delay`, or give up with an error status if there's no
+// saved token to do it with
+function scheduleReconnect(session, status, reason, delay = backoff(session.health.reconnectAttempts)) {
+  clearTimers(session);
+  if (!tokens.loadToken(session.accountName)?.token) {
+    return setStatus(session, 'error:' + (session.health.lastError || reason), reason);
+  }
+  session.health.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+  console.log(`[${session.accountName}] Reconnecting in ${Math.round(delay / 1000)}s (${reason})`);
+  setStatus(session, status, reason);
+  session.reconnectTimer = setTimeout(() => {
+    session.reconnectTimer = null;
+    session.health.reconnectAttempts++;
+    session.health.reconnects++;
+    if (!logOnWithToken(session.accountName)) scheduleReconnect(session, status, reason);
+  }, delay);
+  session.reconnectTimer.unref();
+}
+
+function clearTimers(session) {
+  clearTimeout(session.reconnectTimer);
+  clearTimeout(session.gcStallTimer);
+  session.reconnectTimer = null;
+  session.gcStallTimer = null;
+  session.health.nextReconnectAt = null;
+}
+
+function gcContact(session) {
+  session.health.lastGCContact = new Date().toISOString();
+}
+
+// A craft waiting on a GC that has gone away won't hear back
+function failPendingCraft(session, message) {
+  const reject = session.pendingCraftReject;
+  session.pendingCraftResolve = null;
+  session.pendingCraftReject = null;
+  reject?.(new Error(message));
+}
+
+// details: steam-user logOn details ({ refreshToken } or { accountName, password }).
+// Replaces the account's previous client if it had one.
+function logOn(accountName, details) {
+  const { client, csgo } = backend.createClients(accountName);
+  let session = sessions.get(accountName);
+  if (session) stopClients(session);
+  else {
+    session = {
+      accountName,
+      client: null,
+      csgo: null,
+      status: 'disconnected',
+      steamId64: null,
+      steamGuardResolver: null,
+      pendingCraftResolve: null, // resolves when craftingComplete fires
+      pendingCraftReject: null,
+      reconnectTimer: null,
+      gcStallTimer: null,
+      health: {
+        statusSince: null,
+        connectedSince: null,   // when the GC session came up
+        lastGCContact: null,    // last event heard from the GC
+        reconnectAttempts: 0,   // tries since the last good connection
+        reconnects: 0,          // tries in total
+        nextReconnectAt: null,
+        lastError: null,
+        lastDisconnect: null,   // { at, reason }
+        tokenError: null,       // why the last refresh token couldn't be saved
+      },
+    };
+    sessions.set(accountName, session);
+  }
+
+  session.client = client;
+  session.csgo = csgo;
+  jobs.attachGC(accountName, csgo);
+  storageIndex.attachGC(accountName, csgo);
+  // Events from a client this session has since replaced are ignored
+  const current = () => session.client === client;
+
+  client.on('loggedOn', () => {
+    if (!current()) return;
+    session.steamId64 = client.steamID?.getSteamID64?.() || client.steamID?.toString();
+    console.log(`[${accountName}] Logged in, SteamID: ${session.steamId64}`);
+    setStatus(session, 'connecting', 'loggedOn');
+    client.gamesPlayed([730]);
+  });
+
+  // A locked or unreadable vault refuses the write: stay logged in, but say the
+  // token wasn't kept (/api/health shows why; a restart needs a password login)
+  client.on('refreshToken', (token) => {
+    if (!current()) return;
+    try {
+      tokens.saveToken(accountName, token);
+      session.health.tokenError = null;
+    } catch (err) {
+      console.warn(`[${accountName}] Could not save refresh token:`, err.message);
+      session.health.tokenError = `Refresh token not saved: ${err.message}`;
+      setStatus(session, session.status, 'vault');
+    }
+  });
+
+  client.on('steamGuard', (domain, callback) => {
+    if (!current()) return;
+    console.log(`[${accountName}] Steam Guard required`);
+    // Answering the prompt moves the session on through setStatus like any other change
+    session.steamGuardResolver = (code) => {
+      session.steamGuardResolver = null;
+      setStatus(session, 'connecting', 'guard');
+      callback(code);
+    };
+    setStatus(session, 'steamguard', 'steamGuard');
+  });
+
+  // steam-user only emits error for a connection it won't restore itself
+  client.on('error', (err) => {
+    if (!current()) return;
+    console.error(`[${accountName}] Steam error:`, err.message);
+    dropped(session, err.message);
+    const kind = classifyError(err);
+    if (kind === 'expired') {
+      console.warn(`[${accountName}] Saved login no longer works — log in again`);
+      clearTimers(session);
+      return setStatus(session, 'expired', 'tokenExpired');
+    }
+    if (kind === 'elsewhere') return scheduleReconnect(session, 'elsewhere', 'loggedInElsewhere', ELSEWHERE_RETRY_MS);
+    scheduleReconnect(session, 'reconnecting', 'error');
+  });
+
+  // ...while a plain disconnect is retried by steam-user (autoRelogin)
+  client.on('disconnected', (eresult, msg) => {
+    if (!current()) return;
+    dropped(session, msg || `EResult ${eresult}`);
+    setStatus(session, 'connecting', 'disconnected');
+  });
+
+  client.on('loggedOff', () => {
+    if (current()) setStatus(session, 'disconnected', 'loggedOff');
+  });
+
+  // The account started (or stopped) playing on another machine; the GC is
+  // theirs until it stops
+  client.on('playingState', (blocked) => {
+    if (!current()) return;
+    if (blocked) {
+      if (session.status === 'elsewhere') return;
+      dropped(session, 'Playing on another machine');
+      clearTimers(session);
+      return setStatus(session, 'elsewhere', 'playingElsewhere');
+    }
+    if (session.status !== 'elsewhere') return;
+    setStatus(session, 'connecting', 'playingStopped');
+    client.gamesPlayed([730]);
+  });
+
+  csgo.on('connectedToGC', () => {
+    if (!current()) return;
+    console.log(`[${accountName}] Connected to CS2 GC!`);
+    clearTimers(session);
+    Object.assign(session.health, { connectedSince: new Date().toISOString(), reconnectAttempts: 0, lastError: null });
+    gcContact(session);
+    setStatus(session, 'connected', 'connectedToGC');
+  });
+
+  // globaloffensive keeps trying to reach the GC on its own; if it hasn't
+  // managed after a while, start over with a fresh login
+  csgo.on('disconnectedFromGC', (reason) => {
+    if (!current()) return;
+    dropped(session, `GC connection lost${reason ? ` (${reason})` : ''}`);
+    if (session.status === 'elsewhere') return;
+    setStatus(session, 'connecting', 'disconnectedFromGC');
+    clearTimeout(session.gcStallTimer);
+    session.gcStallTimer = setTimeout(() => {
+      if (current() && session.status === 'connecting') scheduleReconnect(session, 'reconnecting', 'gcTimeout', 0);
+    }, GC_STALL_MS);
+    session.gcStallTimer.unref();
+  });
+  csgo.on('connectionStatus', () => {
+    if (current()) gcContact(session);
+  });
+  csgo.on('itemAcquired', (item) => {
+    if (!current()) return;
+    gcContact(session);
+    console.log(`[${accountName}] GC item acquired late: def_index=${item.def_index} id=${item.id}`);
+    sessionEvents.emit('gc', session, 'itemAcquired', item);
+  });
+  csgo.on('itemChanged', (oldItem, item) => {
+    if (!current()) return;
+    gcContact(session);
+    console.log(`[${accountName}] GC item changed: def_index=${item.def_index} id=${item.id}`);
+    sessionEvents.emit('gc', session, 'itemChanged', oldItem, item);
+  });
+  csgo.on('itemRemoved', (item) => {
+    if (!current()) return;
+    gcContact(session);
+    if (item) sessionEvents.emit('gc', session, 'itemRemoved', item);
+  });
+  // An empty idList is the GC refusing the contract: it keeps the inputs
+  csgo.on('craftingComplete', (blueprint, idList) => {
+    if (!current()) return;
+    gcContact(session);
+    console.log(`[${accountName}] Crafting complete: blueprint=${blueprint}, new items=${idList.join(',')}`);
+    sessionEvents.emit('gc', session, 'craftingComplete', blueprint, idList);
+    if (session.pendingCraftResolve) {
+      session.pendingCraftResolve({ success: idList.length > 0, newItemIds: idList });
+      session.pendingCraftResolve = null;
+      session.pendingCraftReject = null;
+    }
+  });
+  csgo.on('error', (err) => console.error(`[${accountName}] GC error:`, err));
+
+  setStatus(session, 'connecting', 'logOn');
+  client.logOn(details);
+  return session;
+}
+
+// Note why the connection went away; anything waiting on the GC is let go
+function dropped(session, reason) {
+  session.health.connectedSince = null;
+  session.health.lastError = reason;
+  session.health.lastDisconnect = { at: new Date().toISOString(), reason };
+  failPendingCraft(session, 'Lost connection to GC');
+}
+
+// Connection health for the API
+function describeHealth(session) {
+  const { connectedSince } = session.health;
+  return {
+    accountName: session.accountName,
+    status: session.status,
+    uptimeSeconds: connectedSince ? Math.round((Date.now() - new Date(connectedSince)) / 1000) : 0,
+    ...session.health,
+  };
+}
+
+// Log in with a saved refresh token; null if the account has none
+function logOnWithToken(accountName) {
+  const saved = tokens.loadToken(accountName);
+  if (!saved?.token) return null;
+  return logOn(saved.accountName, { refreshToken: saved.token });
+}
+
+// Craft a contract and wait for the GC's craftingComplete; one at a time per session
+function craft(session, itemIds, recipe, timeoutMs = 15000) {
+  if (!session?.csgo || session.status !== 'connected') return Promise.reject(new Error('Not connected to GC'));
+  if (session.pendingCraftResolve) return Promise.reject(new Error('Another trade-up is in progress'));
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      session.pendingCraftResolve = null;
+      session.pendingCraftReject = null;
+      reject(new Error('Trade-up timed out'));
+    }, timeoutMs);
+    session.pendingCraftResolve = (result) => {
+      clearTimeout(timeout);
+      resolve(result);
+    };
+    session.pendingCraftReject = (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    };
+
+    console.log(`[${session.accountName}] Crafting: recipe=${recipe}, items=[${itemIds.join(',')}]`);
+    // Log the inputs as the GC sees them, to make failed crafts easier to diagnose
+    const gcMap = new Map(session.csgo.inventory.map(i => [i.id?.toString(), i]));
+    itemIds.forEach(id => {
+      const i = gcMap.get(id);
+      if (i) console.log(`  item ${id}: origin=${i.origin} flags=${i.flags} quality=${i.quality} rarity=${i.rarity} def=${i.def_index} paint=${i.paint_index}`);
+      else console.warn(`  item ${id}: NOT FOUND in GC inventory`);
+    });
+    try {
+      session.csgo.craft(itemIds, recipe);
+    } catch (err) {
+      clearTimeout(timeout);
+      session.pendingCraftResolve = null;
+      session.pendingCraftReject = null;
+      reject(err);
+    }
+  });
+}
+
+function stopClients(session) {
+  const { client } = session;
+  clearTimers(session);
+  failPendingCraft(session, 'Logged off');
+  session.client = null;
+  session.csgo = null;
+  session.steamId64 = null;
+  session.steamGuardResolver = null;
+  if (client) { try { client.logOff(); } catch {} }
+}
+
+// Log the account off and forget its session
+function logOff(accountName) {
+  const session = sessions.get(accountName);
+  if (!session) return false;
+  stopClients(session);
+  sessions.delete(accountName);
+  jobs.cancelAccountJobs(accountName);
+  setStatus(session, 'disconnected', 'logOff');
+  return true;
+}
+
+function logOffAll() {
+  for (const name of [...sessions.keys()]) logOff(name);
+}
+
+module.exports = {
+  sessionEvents,
+  getSession, listSessions, describeHealth, logOn, logOnWithToken, logOff, logOffAll, craft,
+};
@@ -0,0 +1,269 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+const { readJson } = require('./datafile');
+const tradeup = require('./tradeup');
+
+// ── Simulated Game Coordinator ────────────────────────────────────────────────
+// Offline stand-ins for steam-user and globaloffensive, for demos, UI work and
+// tests. Every account logs in instantly (any password or token) and gets its
+// own copy of the inventory fixture. Storage unit moves, renames and trade-ups
+// change that copy and fire the same events the real GC does. The copy lasts
+// as long as the server process, so logging in again finds it as it was;
+// nothing persists across restarts.
+//
+// simulateDrop(kind) on a client stands in for connection trouble (see the
+// debug drop-connection route): 'gc' (the GC goes away, for outageMs if given),
+// 'steam' (a network error), 'elsewhere' (the account logged in elsewhere) or
+// 'expired' (the token is revoked; it keeps failing until a password login).
+//
+// Fixture (SKINTOOLS_SIM_FIXTURE, default fixtures/inventory.json; item names
+// come from fixtures/schema, see schema.js):
+//   { steamId, items: [{ id, def_index, paint_index, paint_wear, casket_id, custom_name, … }] }
+// Storage unit counts are worked out from the items' casket_id, and
+// trade_hold_days: n becomes a tradable_after n days from load.
+const DEFAULT_FIXTURE = path.join(__dirname, '../fixtures/inventory.json');
+const LATENCY_MS = Number(process.env.SKINTOOLS_SIM_LATENCY_MS ?? 150);
+const REFUSE_CRAFTS = process.env.SKINTOOLS_SIM_REFUSE_CRAFTS === '1'; // the GC turns every contract down
+const TRADE_HOLD_DAYS = 7; // trade-up outputs can't be traded for a week
+const RARITY_LEVELS = {
+  rarity_common_weapon: 1, rarity_uncommon_weapon: 2, rarity_rare_weapon: 3,
+  rarity_mythical_weapon: 4, rarity_legendary_weapon: 5, rarity_ancient_weapon: 6,
+};
+const STORAGE_UNIT_DEF = 1201;
+// steam-user EResult codes for the errors simulateDrop raises
+const DROP_ERRORS = { steam: ['NoConnection', 3], elsewhere: ['LoggedInElsewhere', 6], expired: ['AccessDenied', 15] };
+
+const accounts = new Map(); // accountName → its latest SimulatedGC, whose items the next login takes over
+const revoked = new Set();  // accounts whose token no longer works
+
+function later(fn) {
+  setTimeout(fn, LATENCY_MS);
+}
+
+function loadFixture() {
+  const file = process.env.SKINTOOLS_SIM_FIXTURE || DEFAULT_FIXTURE;
+  const fixture = readJson(file, null);
+  if (!fixture || !Array.isArray(fixture.items)) throw new Error(`Simulator fixture not found or has no items: ${file}`);
+  return fixture;
+}
+
+// ── Steam client ──────────────────────────────────────────────────────────────
+class SimulatedClient extends EventEmitter {
+  constructor(accountName) {
+    super();
+    this.accountName = accountName;
+    this.steamID = null;
+    this.gc = null;
+  }
+
+  logOn(details = {}) {
+    later(() => {
+      if (details.refreshToken && revoked.has(this.accountName)) return this.emit('error', steamError('expired'));
+      revoked.delete(this.accountName);
+      const fixture = loadFixture();
+      const steamId = fixture.steamId || '76561190000000000';
+      this.steamID = { getSteamID64: () => steamId, toString: () => steamId };
+      this.emit('loggedOn');
+      // Password logins get a token so the account is remembered like a real one
+      if (!details.refreshToken) this.emit('refreshToken', `simulated:${this.accountName}`);
+    });
+  }
+
+  gamesPlayed(appIds) {
+    if (appIds?.includes(730)) later(() => this.gc?.connect());
+  }
+
+  logOff() {
+    this.steamID = null;
+    this.gc?.disconnect();
+    later(() => this.emit('disconnected', 0, 'Logged off'));
+  }
+
+  simulateDrop(kind, outageMs) {
+    if (kind !== 'gc' && !DROP_ERRORS[kind]) throw new Error(`Unknown drop: ${kind} (use gc, ${Object.keys(DROP_ERRORS).join(', ')})`);
+    this.gc?.disconnect();
+    if (kind === 'gc') {
+      if (outageMs) setTimeout(() => this.steamID && this.gc?.connect(), outageMs);
+      return;
+    }
+    if (kind === 'expired') revoked.add(this.accountName);
+    later(() => this.emit('error', steamError(kind)));
+  }
+}
+
+function steamError(kind) {
+  const [message, eresult] = DROP_ERRORS[kind];
+  return Object.assign(new Error(message), { eresult });
+}
+
+// ── Game Coordinator ──────────────────────────────────────────────────────────
+class SimulatedGC extends EventEmitter {
+  constructor(client) {
+    super();
+    client.gc = this;
+    this.client = client;
+    this.inventory = [];
+    this.caskets = new Map(); // casketId → Map(itemId → item)
+    this.haveGCSession = false;
+  }
+
+  connect() {
+    const previous = accounts.get(this.client.accountName);
+    if (previous) {
+      ({ inventory: this.inventory, caskets: this.caskets, nextId: this.nextId } = previous);
+      accounts.set(this.client.accountName, this);
+      this.haveGCSession = true;
+      return this.emit('connectedToGC');
+    }
+    const { items } = loadFixture();
+    const now = Date.now();
+    const all = items.map(raw => {
+      const { trade_hold_days: holdDays, tradable_after: tradableAfter, ...item } = structuredClone(raw);
+      item.id = String(item.id);
+      if (item.casket_id != null) item.casket_id = String(item.casket_id);
+      if (holdDays) item.tradable_after = new Date(now + holdDays * 86400000);
+      else if (tradableAfter) item.tradable_after = new Date(tradableAfter);
+      return item;
+    });
+    this.caskets = new Map(all.filter(i => i.def_index === STORAGE_UNIT_DEF).map(i => [i.id, new Map()]));
+    this.inventory = [];
+    for (const item of all) {
+      const casket = item.casket_id != null && this.caskets.get(item.casket_id);
+      if (casket) casket.set(item.id, item);
+      else { delete item.casket_id; this.inventory.push(item); }
+    }
+    for (const [id, contents] of this.caskets) this.findItem(id).casket_contained_item_count = contents.size;
+    this.nextId = Math.max(0, ...all.map(i => Number(i.id) || 0)) + 1;
+    accounts.set(this.client.accountName, this);
+    this.haveGCSession = true;
+    this.emit('connectedToGC');
+  }
+
+  disconnect() {
+    if (!this.haveGCSession) return;
+    this.haveGCSession = false;
+    this.emit('disconnectedFromGC', 0);
+  }
+
+  findItem(id) {
+    return this.inventory.find(i => i.id === String(id));
+  }
+
+  // Casket count changes arrive as itemChanged on the storage unit itself
+  updateCasketCount(casketId) {
+    const casket = this.findItem(casketId);
+    const before = { ...casket };
+    casket.casket_contained_item_count = this.caskets.get(casket.id).size;
+    this.emit('itemChanged', before, casket);
+  }
+
+  getCasketContents(casketId, callback) {
+    later(() => {
+      const contents = this.caskets.get(String(casketId));
+      if (!contents) return callback(new Error(`${casketId} is not a storage unit`));
+      callback(null, [...contents.values()].map(i => ({ ...i })));
+    });
+  }
+
+  // Requests sent while the GC is away are lost, as they would be for real
+  request(fn) {
+    later(() => this.haveGCSession && fn());
+  }
+
+  // Like the real GC, requests that make no sense are silently ignored
+  addToCasket(casketId, itemId) {
+    this.request(() => {
+      const contents = this.caskets.get(String(casketId));
+      const item = this.findItem(itemId);
+      if (!contents || !item || this.caskets.has(item.id) || contents.size >= 1000) return;
+      this.inventory.splice(this.inventory.indexOf(item), 1);
+      contents.set(item.id, { ...item, casket_id: String(casketId) });
+      this.emit('itemRemoved', item);
+      this.updateCasketCount(casketId);
+    });
+  }
+
+  removeFromCasket(casketId, itemId) {
+    this.request(() => {
+      const contents = this.caskets.get(String(casketId));
+      const stored = contents?.get(String(itemId));
+      if (!stored) return;
+      contents.delete(stored.id);
+      const { casket_id, ...item } = stored;
+      this.inventory.push(item);
+      this.emit('itemAcquired', item);
+      this.updateCasketCount(casketId);
+    });
+  }
+
+  nameItem(nameTagId, itemId, name) {
+    this.request(() => {
+      const item = this.findItem(itemId);
+      if (!item) return;
+      if (nameTagId) {
+        const tag = this.findItem(nameTagId);
+        if (!tag) return;
+        this.inventory.splice(this.inventory.indexOf(tag), 1);
+        this.emit('itemRemoved', tag);
+      }
+      const before = { ...item };
+      item.custom_name = name;
+      this.emit('itemChanged', before, item);
+    });
+  }
+
+  // Trade-up: consumes the inputs and draws an output the way tradeup.js predicts
+  // it (collection- or case-weighted chance, float from the inputs' average). Anything the
+  // real GC would refuse completes with no new items.
+  craft(itemIds, recipe) {
+    this.request(() => {
+      const inputs = itemIds.map(id => this.findItem(id));
+      const calc = inputs.every(Boolean) && new Set(itemIds.map(String)).size === itemIds.length
+        ? tradeup.calculateTradeup(inputs.map(tradeup.tradeupItem))
+        : null;
+      if (REFUSE_CRAFTS || !calc || calc.warnings.length || tradeup.RECIPES[calc.inputRarity] !== recipe || !calc.outputs.length) {
+        return this.emit('craftingComplete', -1, []);
+      }
+
+      const output = pickOutput(calc.outputs);
+      const [defIndex, paintIndex] = output.key.split('_').map(Number);
+      for (const item of inputs) {
+        this.inventory.splice(this.inventory.indexOf(item), 1);
+        this.emit('itemRemoved', item);
+      }
+      const crafted = {
+        id: String(this.nextId++),
+        def_index: defIndex,
+        paint_index: paintIndex,
+        paint_wear: output.float,
+        paint_seed: Math.floor(Math.random() * 1000) + 1,
+        rarity: RARITY_LEVELS[output.special ? 'rarity_ancient_weapon' : calc.targetRarity],
+        // ★ items are unusual quality even when StatTrak; kill_eater_value marks StatTrak
+        quality: output.special ? 3 : calc.stattrak ? 9 : 4,
+        origin: 8,
+        flags: 0,
+        tradable_after: new Date(Date.now() + TRADE_HOLD_DAYS * 86400000),
+        ...(calc.stattrak ? { kill_eater_value: 0 } : {}),
+      };
+      this.inventory.push(crafted);
+      this.emit('itemAcquired', crafted);
+      this.emit('craftingComplete', recipe, [crafted.id]);
+    });
+  }
+}
+
+function pickOutput(outputs) {
+  let roll = Math.random();
+  for (const output of outputs) {
+    roll -= output.probability;
+    if (roll < 0) return output;
+  }
+  return outputs[outputs.length - 1];
+}
+
+function createClients(accountName) {
+  const client = new SimulatedClient(accountName);
+  return { client, csgo: new SimulatedGC(client) };
+}
+
+module.exports = { createClients };
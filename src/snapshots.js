@@ -0,0 +1,80 @@
+const fs = require('fs');
+const { dataPath, readJson, writeJson } = require('./datafile');
+
+// ── Inventory snapshots ───────────────────────────────────────────────────────
+// Full copies of the inventory plus every storage unit's contents, one JSON file
+// per snapshot under data/snapshots/<account>/. Diffing two of them shows what a
+// session of trade-ups or moves actually did.
+const MAX_SNAPSHOTS = 500; // per account; oldest are pruned
+const SNAPSHOT_FIELDS = ['id', 'defindex', 'paintindex', 'paintwear', 'paintseed', 'name', 'customName',
+  'casketId', 'stattrak', 'stattrakValue', 'type', 'rarity'];
+
+function accountDir(account) {
+  return dataPath('snapshots', String(account || 'unknown').replace(/[^\w.-]/g, '_'));
+}
+
+// items: formatted items (inventory + storage contents); units: formatted storage units
+function takeSnapshot(account, { steamId, items, units, reason }) {
+  const takenAt = new Date();
+  const snapshot = {
+    id: takenAt.toISOString().replace(/[:.]/g, '-'),
+    account,
+    steamId: steamId || null,
+    takenAt: takenAt.toISOString(),
+    reason: reason || 'manual',
+    units: units.map(u => ({ id: u.id, name: u.customName || null, count: u.casketCount })),
+    items: items.map(item => Object.fromEntries(SNAPSHOT_FIELDS.map(f => [f, item[f] ?? null]))),
+  };
+  writeJson(`${accountDir(account)}/${snapshot.id}.json`, snapshot);
+
+  // The index keeps listing cheap without opening every snapshot file
+  const index = listSnapshots(account);
+  index.push({ id: snapshot.id, takenAt: snapshot.takenAt, reason: snapshot.reason, itemCount: snapshot.items.length, unitCount: snapshot.units.length });
+  for (const old of index.splice(0, Math.max(0, index.length - MAX_SNAPSHOTS))) {
+    try { fs.unlinkSync(`${accountDir(account)}/${old.id}.json`); } catch {}
+  }
+  writeJson(`${accountDir(account)}/index.json`, index);
+  return snapshot;
+}
+
+function listSnapshots(account) {
+  return readJson(`${accountDir(account)}/index.json`, []);
+}
+
+function loadSnapshot(account, id) {
+  if (!/^[\w-]+$/.test(id) || id === 'index') return null;
+  return readJson(`${accountDir(account)}/${id}.json`, null);
+}
+
+// Items gained, lost and moved between storage units (matched by item id).
+// Trade-ups show up as ten items lost plus one gained.
+function diffSnapshots(from, to) {
+  const before = new Map(from.items.map(i => [i.id, i]));
+  const after = new Map(to.items.map(i => [i.id, i]));
+  const unitName = (id) => id == null ? null
+    : (to.units.find(u => u.id === id) || from.units.find(u => u.id === id))?.name || null;
+
+  const gained = [];
+  const lost = [];
+  const moved = [];
+  for (const [id, item] of after) {
+    const old = before.get(id);
+    if (!old) gained.push(item);
+    else if (old.casketId !== item.casketId) {
+      moved.push({ ...item, fromCasketId: old.casketId, fromName: unitName(old.casketId), toCasketId: item.casketId, toName: unitName(item.casketId) });
+    }
+  }
+  for (const [id, item] of before) {
+    if (!after.has(id)) lost.push(item);
+  }
+  return {
+    from: { id: from.id, takenAt: from.takenAt },
+    to: { id: to.id, takenAt: to.takenAt },
+    summary: { gained: gained.length, lost: lost.length, moved: moved.length },
+    gained,
+    lost,
+    moved,
+  };
+}
+
+module.exports = { takeSnapshot, listSnapshots, loadSnapshot, diffSnapshots };
@@ -0,0 +1,124 @@
+const { WEAR_TIERS } = require('./tradeup');
+const { PHASE_NAMES, appliedNames } = require('./itemdetails');
+
+// ── Storage unit index ────────────────────────────────────────────────────────
+// Cached contents of every storage unit, so searching doesn't mean opening each
+// unit in turn. A unit is loaded with getCasketContents the first time it's
+// needed, then kept current from GC item events. If a unit's item count stops
+// matching what we hold, it's marked stale and reloaded on the next lookup.
+// Each logged-in account has its own index.
+const indexes = new Map(); // account → { gc, units: Map(casketId → { items, loadedAt, stale }), loading }
+
+function indexFor(account) {
+  if (!indexes.has(account)) indexes.set(account, { gc: null, units: new Map(), loading: new Map() });
+  return indexes.get(account);
+}
+
+// Called for every new GlobalOffensive instance (see sessions.js)
+function attachGC(account, csgo) {
+  const index = indexFor(account);
+  index.gc = csgo;
+  index.units.clear();
+  index.loading.clear();
+  csgo.on('itemAcquired', (item) => place(index, item));
+  csgo.on('itemChanged', (oldItem, item) => place(index, item));
+  csgo.on('itemRemoved', (item) => {
+    if (!item) return;
+    const id = item.id?.toString();
+    index.units.delete(id);
+    for (const unit of index.units.values()) unit.items.delete(id);
+  });
+}
+
+function place({ units }, item) {
+  const id = item?.id?.toString();
+  if (!id) return;
+  if (item.casket_contained_item_count != null) {
+    const unit = units.get(id);
+    if (unit && unit.items.size !== item.casket_contained_item_count) unit.stale = true;
+    return;
+  }
+  for (const unit of units.values()) unit.items.delete(id);
+  const unit = units.get(item.casket_id?.toString());
+  if (unit) unit.items.set(id, item);
+}
+
+// Fetch a unit's contents from the GC and (re)index them
+function loadCasket(account, casketId) {
+  const { gc, units, loading } = indexFor(account);
+  casketId = String(casketId);
+  if (loading.has(casketId)) return loading.get(casketId);
+  const promise = new Promise((resolve, reject) => {
+    gc.getCasketContents(casketId, (err, items) => {
+      loading.delete(casketId);
+      if (err) return reject(err);
+      items = items || [];
+      units.set(casketId, {
+        items: new Map(items.map(i => [i.id?.toString(), i])),
+        loadedAt: new Date().toISOString(),
+        stale: false,
+      });
+      resolve(items);
+    });
+  });
+  loading.set(casketId, promise);
+  return promise;
+}
+
+// Make sure every listed unit is indexed and current; forget units no longer owned
+async function ensureIndexed(account, casketIds) {
+  const { units } = indexFor(account);
+  const wanted = new Set(casketIds.map(String));
+  for (const id of units.keys()) if (!wanted.has(id)) units.delete(id);
+  for (const id of wanted) {
+    const unit = units.get(id);
+    if (!unit || unit.stale) await loadCasket(account, id);
+  }
+}
+
+// Raw GC items from every indexed unit
+function indexedItems(account) {
+  return [...indexFor(account).units.values()].flatMap(unit => [...unit.items.values()]);
+}
+
+function indexStatus(account) {
+  return [...indexFor(account).units.entries()].map(([casketId, unit]) => ({
+    casketId, count: unit.items.size, loadedAt: unit.loadedAt, stale: unit.stale,
+  }));
+}
+
+// ── Search ────────────────────────────────────────────────────────────────────
+// filters: { text, types[], rarities[], wears[] (FN/MW/…), minFloat, maxFloat, stattrak,
+//            souvenir, star, phases[], sticker }
+// items: formatted items. Every filter given must match. sticker matches the name
+// of any applied sticker, patch or charm.
+function searchItems(items, filters) {
+  const text = filters.text?.toLowerCase();
+  const sticker = filters.sticker?.toLowerCase();
+  const wears = filters.wears?.length ? new Set(filters.wears.map(w => w.toUpperCase())) : null;
+  const phases = filters.phases?.length ? new Set(filters.phases.map(p => p.toLowerCase())) : null;
+  return items.filter(item => {
+    if (text && ![item.name, item.marketName, item.customName].some(n => n?.toLowerCase().includes(text))) return false;
+    if (filters.types?.length && !filters.types.includes(item.type)) return false;
+    if (filters.rarities?.length && !filters.rarities.includes(item.rarity)) return false;
+    if (filters.stattrak != null && item.stattrak !== filters.stattrak) return false;
+    if (filters.souvenir != null && item.souvenir !== filters.souvenir) return false;
+    if (filters.star != null && item.star !== filters.star) return false;
+    if (phases && !(item.phase && phases.has(item.phase.toLowerCase()))) return false;
+    if (sticker && !appliedNames(item).some(n => n.toLowerCase().includes(sticker))) return false;
+    if (wears || filters.minFloat != null || filters.maxFloat != null) {
+      if (item.paintwear == null || !item.paintindex) return false;
+      if (wears && !wears.has(item.wear)) return false;
+      if (filters.minFloat != null && item.paintwear < filters.minFloat) return false;
+      if (filters.maxFloat != null && item.paintwear > filters.maxFloat) return false;
+    }
+    return true;
+  });
+}
+
+const WEAR_SHORT_NAMES = WEAR_TIERS.map(t => t.short);
+
+module.exports = {
+  WEAR_SHORT_NAMES, PHASE_NAMES,
+  attachGC, loadCasket, ensureIndexed, indexedItems, indexStatus, searchItems,
+};
@@ -0,0 +1,62 @@
+const vault = require('./vault');
+
+// ── Token helpers (multi-account) ─────────────────────────────────────────────
+// File format: { active: "username", accounts: { username: "refreshToken", ... } },
+// stored in plain JSON or in the encrypted vault (see vault.js).
+// `active` is the account the UI is looking at; every account with a token can
+// be logged in at the same time.
+function loadTokenFile() {
+  return vault.readTokens();
+}
+function saveTokenFile(data) {
+  vault.writeTokens(data);
+}
+function saveToken(accountName, token) {
+  const data = loadTokenFile();
+  if (!data.accounts) data.accounts = {};
+  data.accounts[accountName] = token;
+  if (!data.active) data.active = accountName;
+  saveTokenFile(data);
+}
+function loadToken(accountName) {
+  const data = loadTokenFile();
+  const name = accountName ?? data.active;
+  if (!name || !data.accounts?.[name]) return null;
+  return { accountName: name, token: data.accounts[name] };
+}
+// Every saved account that can log in without a password
+function savedTokens() {
+  const data = loadTokenFile();
+  return Object.entries(data.accounts || {})
+    .filter(([, token]) => token)
+    .map(([accountName, token]) => ({ accountName, token }));
+}
+// Remember an account before its first token arrives (password login)
+function addAccount(accountName) {
+  const data = loadTokenFile();
+  if (!data.accounts) data.accounts = {};
+  data.accounts[accountName] = data.accounts[accountName] || null;
+  data.active = accountName;
+  saveTokenFile(data);
+}
+function setActiveAccount(accountName) {
+  const data = loadTokenFile();
+  if (!(accountName in (data.accounts || {}))) return false;
+  data.active = accountName;
+  saveTokenFile(data);
+  return true;
+}
+function removeAccount(accountName) {
+  const data = loadTokenFile();
+  delete data.accounts[accountName];
+  if (data.active === accountName) {
+    data.active = Object.keys(data.accounts)[0] || null;
+  }
+  saveTokenFile(data);
+  return data;
+}
+function clearToken() { vault.clearTokens(); }
+
+module.exports = {
+  loadTokenFile, saveToken, loadToken, savedTokens, addAccount, setActiveAccount, removeAccount, clearToken,
+};
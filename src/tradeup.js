@@ -0,0 +1,204 @@
+const { schemaByType } = require('./schema');
+
+// ── Trade-up contracts ────────────────────────────────────────────────────────
+// One contract per input rarity: the GC recipe id, how many inputs it takes and
+// where the output comes from. Weapon tiers trade up into the next rarity of the
+// inputs' collections; five Covert skins trade up into the knives and gloves
+// ("rare specials") of the case each input's collection drops from.
+//
+// Recipes 0-4 are the weapon tiers' trade-up recipes. The Covert contract's id
+// hasn't been confirmed against the live GC, so it stays unset until
+// SKINTOOLS_COVERT_RECIPE gives it: Covert contracts can be calculated, but
+// not crafted, until then.
+const RARE_SPECIAL = 'rare_special';
+const COVERT_RECIPE = /^\d+$/.test(process.env.SKINTOOLS_COVERT_RECIPE || '') ? Number(process.env.SKINTOOLS_COVERT_RECIPE) : null;
+const CONTRACTS = {
+  'rarity_common_weapon':    { recipe: 0,  inputCount: 10, target: 'rarity_uncommon_weapon',  pool: 'collection' },
+  'rarity_uncommon_weapon':  { recipe: 1,  inputCount: 10, target: 'rarity_rare_weapon',      pool: 'collection' },
+  'rarity_rare_weapon':      { recipe: 2,  inputCount: 10, target: 'rarity_mythical_weapon',  pool: 'collection' },
+  'rarity_mythical_weapon':  { recipe: 3,  inputCount: 10, target: 'rarity_legendary_weapon', pool: 'collection' },
+  'rarity_legendary_weapon': { recipe: 4,  inputCount: 10, target: 'rarity_ancient_weapon',   pool: 'collection' },
+  'rarity_ancient_weapon':   { recipe: COVERT_RECIPE, inputCount: 5, target: RARE_SPECIAL,    pool: 'case' },
+};
+
+// Input rarity → output rarity / GC recipe id
+const TARGET_RARITY = Object.fromEntries(Object.entries(CONTRACTS).map(([r, c]) => [r, c.target]));
+const RECIPES = Object.fromEntries(Object.entries(CONTRACTS).map(([r, c]) => [r, c.recipe]));
+
+function inputCount(rarity) {
+  return CONTRACTS[rarity]?.inputCount ?? null;
+}
+
+// Why a contract of this rarity can't be sent to the GC, or null if it can
+function recipeError(rarity) {
+  if (!CONTRACTS[rarity]) return `Unknown rarity: ${rarity}`;
+  if (CONTRACTS[rarity].recipe == null) return 'The GC recipe for Covert contracts isn\'t known yet: set SKINTOOLS_COVERT_RECIPE to craft them';
+  return null;
+}
+
+const WEAR_TIERS = [
+  { max: 0.07, short: 'FN', name: 'Factory New' },
+  { max: 0.15, short: 'MW', name: 'Minimal Wear' },
+  { max: 0.38, short: 'FT', name: 'Field-Tested' },
+  { max: 0.45, short: 'WW', name: 'Well-Worn' },
+  { max: Infinity, short: 'BS', name: 'Battle-Scarred' },
+];
+
+function wearTier(float) {
+  if (float == null) return null;
+  return WEAR_TIERS.find(t => float < t.max);
+}
+
+// Trade-up view of a GC inventory item (what /api/tradeup/eligible returns)
+function tradeupItem(item) {
+  const key = `${item.def_index}_${item.paint_index}`;
+  const schema = schemaByType.skin?.[key] || {};
+  return {
+    id: item.id?.toString(),
+    defIndex: item.def_index,
+    paintIndex: item.paint_index,
+    paintwear: item.paint_wear ?? null,
+    stattrak: item.kill_eater_value !== undefined,
+    name: schema.name || null,
+    iconUrl: schema.iconUrl || null,
+    rarity: schema.rarity || null,
+    minFloat: schema.minFloat ?? 0,
+    maxFloat: schema.maxFloat ?? 1,
+    collections: schema.collections || [],
+    cases: schema.cases || [],
+    special: schema.special || null,
+  };
+}
+
+// Which groups an input draws its output from: its collections, or for Covert
+// contracts the cases its collection drops from
+function inputGroups(input, contract) {
+  return contract?.pool === 'case' ? input.cases : input.collections;
+}
+
+// All skins a contract from inputRarity can produce out of the given groups
+// (collection ids, or case ids for Covert contracts). StatTrak contracts can't
+// produce gloves, which never come in StatTrak.
+function possibleOutputs(inputRarity, groups, { stattrak = false } = {}) {
+  const contract = CONTRACTS[inputRarity];
+  if (!contract) return [];
+  const outputs = [];
+  for (const [key, skin] of Object.entries(schemaByType.skin || {})) {
+    if (contract.target === RARE_SPECIAL) {
+      if (!skin.special || (stattrak && skin.special === 'gloves')) continue;
+      if (skin.cases?.some(c => groups.includes(c))) outputs.push({ ...skin, key });
+    } else {
+      if (skin.special || skin.rarity !== contract.target) continue;
+      if (skin.collections?.some(c => groups.includes(c))) outputs.push({ ...skin, key });
+    }
+  }
+  return outputs;
+}
+
+// Average of the inputs' floats, each normalized to its own skin's float range.
+// Float32 throughout to match Valve's server-side C++ float arithmetic.
+function averageNormalizedFloat(inputs) {
+  const f32 = Math.fround;
+  let normSum = f32(0);
+  for (const i of inputs) {
+    const min = f32(i.minFloat ?? 0);
+    const max = f32(i.maxFloat ?? 1);
+    const range = f32(max - min) || f32(1);
+    normSum = f32(normSum + f32((f32(i.paintwear || 0) - min) / range));
+  }
+  return f32(normSum / inputs.length);
+}
+
+function outputFloat(avgNormalized, output) {
+  const f32 = Math.fround;
+  const outMin = f32(output.minFloat ?? 0);
+  const outMax = f32(output.maxFloat ?? 1);
+  return f32(avgNormalized * f32(outMax - outMin) + outMin);
+}
+
+// Full outcome table for a set of inputs (tradeupItem shape).
+// Each input picks one of its collections (or cases); the result is then drawn
+// evenly from that group's outputs — so an output's chance is the share of inputs
+// from its group divided by the number of outputs in that group.
+function calculateTradeup(inputs) {
+  const warnings = [];
+  const rarity = inputs[0]?.rarity || null;
+  const contract = CONTRACTS[rarity];
+  const stattrak = !!inputs[0]?.stattrak;
+  if (!contract) warnings.push(`No trade-up from rarity ${rarity}`);
+  else if (inputs.length !== contract.inputCount) warnings.push(`Contract needs ${contract.inputCount} inputs, got ${inputs.length}`);
+  if (inputs.some(i => i.rarity !== rarity)) warnings.push('Inputs are not all the same rarity');
+  if (inputs.some(i => i.stattrak !== inputs[0]?.stattrak)) warnings.push('StatTrak and non-StatTrak inputs can\'t be mixed');
+  if (inputs.some(i => i.special)) warnings.push('Knives and gloves can\'t go into a contract');
+  const repeated = [...new Set(inputs.map(i => i.id).filter((id, n, ids) => id != null && ids.indexOf(id) !== n))];
+  if (repeated.length) warnings.push(`Items listed more than once: ${repeated.join(', ')}`);
+
+  const groups = [...new Set(inputs.flatMap(i => inputGroups(i, contract) || []))];
+  const outputs = possibleOutputs(rarity, groups, { stattrak });
+  const outputsByGroup = new Map();
+  for (const o of outputs) {
+    for (const g of (contract.pool === 'case' ? o.cases : o.collections)) {
+      if (!groups.includes(g)) continue;
+      if (!outputsByGroup.has(g)) outputsByGroup.set(g, []);
+      outputsByGroup.get(g).push(o);
+    }
+  }
+
+  // Inputs from a collection with no higher tier (or no case) contribute nothing
+  const counted = inputs.filter(i => inputGroups(i, contract).some(g => outputsByGroup.has(g)));
+  if (counted.length < inputs.length) {
+    warnings.push(contract?.pool === 'case'
+      ? `${inputs.length - counted.length} input(s) come from collections without a case that holds knives or gloves`
+      : `${inputs.length - counted.length} input(s) come from collections with no ${contract?.target || 'higher'} skins`);
+  }
+
+  // collectionShare is keyed by case id for Covert contracts
+  const chances = new Map();
+  const collectionShare = {};
+  for (const input of counted) {
+    const own = inputGroups(input, contract).filter(g => outputsByGroup.has(g));
+    for (const g of own) {
+      const share = 1 / counted.length / own.length;
+      collectionShare[g] = (collectionShare[g] || 0) + share;
+      const pool = outputsByGroup.get(g);
+      for (const o of pool) chances.set(o.key, (chances.get(o.key) || 0) + share / pool.length);
+    }
+  }
+
+  const avg = inputs.length ? averageNormalizedFloat(inputs) : null;
+  const results = outputs.map(o => {
+    const float = avg != null ? outputFloat(avg, o) : null;
+    const tier = wearTier(float);
+    return {
+      key: o.key,
+      name: o.name,
+      iconUrl: o.iconUrl,
+      collections: o.collections,
+      cases: contract.pool === 'case' ? o.cases.filter(c => groups.includes(c)) : [],
+      special: o.special || null,
+      minFloat: o.minFloat,
+      maxFloat: o.maxFloat,
+      probability: chances.get(o.key) || 0,
+      float,
+      wear: tier?.short || null,
+      wearName: tier?.name || null,
+    };
+  }).sort((a, b) => b.probability - a.probability);
+
+  return {
+    inputRarity: rarity,
+    targetRarity: contract?.target || null,
+    inputCount: contract?.inputCount ?? null,
+    pool: contract?.pool || null,
+    stattrak,
+    averageNormalizedFloat: avg,
+    collectionShare,
+    outputs: results,
+    warnings,
+  };
+}
+
+module.exports = {
+  CONTRACTS, RARE_SPECIAL, TARGET_RARITY, RECIPES, WEAR_TIERS,
+  inputCount, recipeError, wearTier, tradeupItem, possibleOutputs, calculateTradeup,
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const tradeup = require('./tradeup');
+const sessions = require('./sessions');
+const tradeupHistory = require('./tradeuphistory');
+const { tradeupEligible } = require('./inventory');
+
+// ── Trade-up batches ──────────────────────────────────────────────────────────
+// Runs a series of contracts on the server, one after another, so a batch
+// survives the browser tab closing. The contracts are planned up front from the
+// account's eligible skins; before each one runs its inputs are checked again,
+// and a contract whose items have gone is skipped. A batch can be paused
+// (between contracts), resumed and cancelled. Each account runs one batch at a time.
+// If the account loses its connection the batch waits (status 'waiting') for it
+// to come back. A contract cut off mid-craft is run again if its inputs are all
+// still there; if they were used up it is marked 'unconfirmed', since the GC
+// never said what came out. Logging the account off on purpose cancels it.
+//
+// Strategy options:
+//   rarity      input rarity (required)
+//   count       contracts to run (default: as many as the pool allows)
+//   order       'random' (default) | 'lowest-float' — lowest floats go in first
+//   collection  only use skins from this collection
+//   stattrak    false (default) | true | 'both' — 'both' plans StatTrak and
+//               regular contracts separately; the two are never mixed
+//   skipNamed   leave name-tagged skins alone (default true)
+//   maxKills    leave StatTrak skins with this many kills or more alone
+//   itemIds     only use these skins
+const BATCH_TTL_MS = 24 * 60 * 60 * 1000; // finished batches are forgotten after a day
+const GAP_MS = 1000;                        // pause between contracts
+
+const batches = new Map(); // batchId → batch
+const running = new Map(); // account → batch
+
+function validateStrategy(options) {
+  const errors = [];
+  const { rarity, count, order = 'random', collection, stattrak = false, skipNamed, maxKills, itemIds } = options || {};
+  if (tradeup.RECIPES[rarity] === undefined) errors.push(`Unknown rarity: ${rarity}`);
+  if (count != null && !(Number.isInteger(count) && count > 0)) errors.push('count must be a positive whole number');
+  if (order !== 'random' && order !== 'lowest-float') errors.push(`Unknown order: ${order}`);
+  if (collection != null && typeof collection !== 'string') errors.push('collection must be a collection id');
+  if (skipNamed != null && typeof skipNamed !== 'boolean') errors.push('skipNamed must be true or false');
+  if (![true, false, 'both'].includes(stattrak)) errors.push('stattrak must be true, false or "both"');
+  if (maxKills != null && !(Number.isInteger(maxKills) && maxKills >= 0)) errors.push('maxKills must be a whole number');
+  if (itemIds != null && !(Array.isArray(itemIds) && itemIds.length)) errors.push('itemIds must be a list of item ids');
+  return errors;
+}
+
+// Which of the account's eligible skins the strategy may use
+function candidatePool(session, options) {
+  const { rarity, collection, skipNamed = true, maxKills, itemIds } = options;
+  const only = itemIds ? new Set(itemIds.map(String)) : null;
+  return tradeupEligible(session)
+    .filter(i => !only || only.has(i.id?.toString()))
+    .filter(i => !(skipNamed && i.custom_name))
+    .filter(i => !(maxKills != null && i.kill_eater_value != null && i.kill_eater_value >= maxKills))
+    .map(tradeup.tradeupItem)
+    .filter(i => i.rarity === rarity && !i.special)
+    .filter(i => !collection || i.collections.includes(collection));
+}
+
+// Split the pool into contracts of the rarity's input count
+function planContracts(session, options) {
+  const { order = 'random', stattrak = false, count } = options;
+  const pools = stattrak === 'both' ? [false, true] : [stattrak];
+  const pool = candidatePool(session, options);
+  const size = tradeup.inputCount(options.rarity);
+  const contracts = [];
+  for (const st of pools) {
+    const items = pool.filter(i => i.stattrak === st);
+    if (order === 'lowest-float') items.sort((a, b) => (a.paintwear ?? 1) - (b.paintwear ?? 1));
+    else shuffle(items);
+    while (items.length >= size) contracts.push(items.splice(0, size));
+  }
+  return {
+    available: pool.length,
+    contracts: (count != null ? contracts.slice(0, count) : contracts).map((inputs, index) => ({
+      index,
+      stattrak: inputs[0].stattrak,
+      itemIds: inputs.map(i => i.id),
+      inputs: inputs.map(i => ({ id: i.id, name: i.name, paintwear: i.paintwear, collections: i.collections, cases: i.cases })),
+      calculation: summarize(tradeup.calculateTradeup(inputs)),
+    })),
+  };
+}
+
+function summarize(calc) {
+  return {
+    averageNormalizedFloat: calc.averageNormalizedFloat,
+    outputs: calc.outputs.map(o => ({ name: o.name, probability: o.probability, float: o.float, wear: o.wear })),
+    warnings: calc.warnings,
+  };
+}
+
+function shuffle(list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+// Plan and start a batch. Returns { error } if the account is busy or nothing can run.
+function createBatch(session, options) {
+  const account = session.accountName;
+  if (running.has(account)) return { error: 'A trade-up batch is already running for this account', status: 409 };
+  const recipeError = tradeup.recipeError(options.rarity);
+  if (recipeError) return { error: recipeError, status: 501 };
+  const plan = planContracts(session, options);
+  if (!plan.contracts.length) {
+    return { error: `Not enough matching skins for a trade-up (need ${tradeup.inputCount(options.rarity)}, have ${plan.available})`, status: 409 };
+  }
+  const batch = {
+    id: crypto.randomUUID(),
+    account,
+    options,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+    pauseRequested: false,
+    cancelRequested: false,
+    resume: null,
+    contracts: plan.contracts.map(c => ({ ...c, status: 'pending', newItemIds: null, output: null, error: null })),
+  };
+  batches.set(batch.id, batch);
+  running.set(account, batch);
+  runBatch(batch);
+  return { batch };
+}
+
+async function runBatch(batch) {
+  try {
+    for (let i = 0; i < batch.contracts.length; i++) {
+      const contract = batch.contracts[i];
+      await waitWhilePaused(batch);
+      let session = await waitForConnection(batch);
+      // Paused while waiting for the connection: hold now, and check it again after
+      while (batch.pauseRequested && !batch.cancelRequested) {
+        await waitWhilePaused(batch);
+        session = await waitForConnection(batch);
+      }
+      if (batch.cancelRequested) break;
+
+      // Items may have been moved, renamed or used up since the batch was planned
+      const eligible = new Set(candidatePool(session, batch.options).map(i => i.id));
+      const gone = contract.itemIds.filter(id => !eligible.has(id));
+      if (gone.length && contract.interrupted && gone.length === contract.itemIds.length) {
+        contract.status = 'unconfirmed';
+        contract.error = 'The connection dropped mid-contract and the inputs were used; check the inventory for the output';
+        continue;
+      }
+      if (gone.length) {
+        contract.status = 'skipped';
+        contract.error = `Inputs no longer available: ${gone.join(', ')}`;
+        continue;
+      }
+
+      contract.status = 'running';
+      try {
+        const { success, newItemIds, record } = await tradeupHistory.performTradeup(session, contract.itemIds, tradeup.RECIPES[batch.options.rarity], 'batch');
+        contract.newItemIds = newItemIds.map(String);
+        contract.output = record?.output || null;
+        if (!success) throw new Error('The GC refused the contract');
+        contract.status = 'done';
+        contract.error = null;
+      } catch (err) {
+        // Lost the GC before it answered: look again once it's back
+        if (sessions.getSession(batch.account)?.status !== 'connected') {
+          contract.status = 'pending';
+          contract.interrupted = true;
+          contract.error = err.message;
+          i--;
+          continue;
+        }
+        contract.status = 'failed';
+        contract.error = err.message;
+        batch.error = `Contract ${contract.index + 1} failed: ${err.message}`;
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, GAP_MS));
+    }
+  } finally {
+    for (const contract of batch.contracts) {
+      if (contract.status === 'pending') contract.status = 'cancelled';
+    }
+    batch.status = batch.cancelRequested ? 'cancelled' : batch.error ? 'failed' : 'done';
+    batch.finishedAt = new Date().toISOString();
+    running.delete(batch.account);
+    setTimeout(() => batches.delete(batch.id), BATCH_TTL_MS).unref();
+  }
+}
+
+// A deliberate log-off (logout, removing the account) won't be followed by a
+// reconnect, so the account's batch would wait forever
+sessions.sessionEvents.on('status', (session, reason) => {
+  const batch = running.get(session.accountName);
+  if (reason !== 'logOff' || !batch) return;
+  batch.error = 'Account was logged off';
+  cancelBatch(batch);
+});
+
+// The session once it's connected again (or undefined if the batch was cancelled meanwhile)
+async function waitForConnection(batch) {
+  let session = sessions.getSession(batch.account);
+  while (session?.status !== 'connected' && !batch.cancelRequested) {
+    batch.status = 'waiting';
+    await new Promise(resolve => {
+      const onStatus = (changed) => {
+        if (changed.accountName === batch.account && changed.status === 'connected') done();
+      };
+      const done = () => {
+        sessions.sessionEvents.off('status', onStatus);
+        batch.resume = null;
+        resolve();
+      };
+      sessions.sessionEvents.on('status', onStatus);
+      batch.resume = done;
+    });
+    batch.status = 'running';
+    session = sessions.getSession(batch.account);
+  }
+  return session;
+}
+
+function waitWhilePaused(batch) {
+  if (!batch.pauseRequested || batch.cancelRequested) return Promise.resolve();
+  batch.status = 'paused';
+  return new Promise(resolve => {
+    batch.resume = () => {
+      batch.resume = null;
+      batch.status = 'running';
+      resolve();
+    };
+  });
+}
+
+function getBatch(id) {
+  return batches.get(id) || null;
+}
+
+function listBatches(account) {
+  return [...batches.values()].filter(b => account == null || b.account === account);
+}
+
+// A paused batch stops before its next contract; the one in flight always finishes
+function pauseBatch(batch) {
+  if (batch.status === 'running' || batch.status === 'waiting') batch.pauseRequested = true;
+  return batch;
+}
+
+function resumeBatch(batch) {
+  batch.pauseRequested = false;
+  batch.resume?.();
+  return batch;
+}
+
+function cancelBatch(batch) {
+  if (!['running', 'paused', 'waiting'].includes(batch.status)) return batch;
+  batch.cancelRequested = true;
+  batch.resume?.();
+  return batch;
+}
+
+// Public shape for the API: drop internals, add counts
+function describeBatch(batch) {
+  const progress = { total: batch.contracts.length, done: 0, unconfirmed: 0, failed: 0, skipped: 0, cancelled: 0, pending: 0 };
+  for (const c of batch.contracts) {
+    if (c.status === 'done') progress.done++;
+    else if (c.status === 'unconfirmed') progress.unconfirmed++;
+    else if (c.status === 'failed') progress.failed++;
+    else if (c.status === 'skipped') progress.skipped++;
+    else if (c.status === 'cancelled') progress.cancelled++;
+    else progress.pending++;
+  }
+  const { pauseRequested, cancelRequested, resume, ...rest } = batch;
+  return { ...rest, paused: batch.status === 'paused' || (pauseRequested && batch.status !== 'done'), progress };
+}
+
+module.exports = {
+  validateStrategy, planContracts, createBatch, getBatch, listBatches,
+  pauseBatch, resumeBatch, cancelBatch, describeBatch,
+};
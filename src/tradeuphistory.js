@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./datafile');
+const tradeup = require('./tradeup');
+const prices = require('./prices');
+const sessions = require('./sessions');
+const auditLog = require('./auditlog');
+const { formatItem } = require('./inventory');
+
+// ── Trade-up history ──────────────────────────────────────────────────────────
+// Every contract run through performTradeup() is written to
+// data/tradeups/<account>.json: the inputs, the outcome table predicted at the
+// time, the item that actually came out and, where prices were known, what it
+// cost and was worth. historyStats() rolls that up into expected vs. actual
+// results per collection (or case, for Covert contracts), tier and kind of contract.
+const MAX_RECORDS = 5000;          // per account; oldest are dropped
+const OUTPUT_WAIT_MS = 5000;       // the crafted item can arrive just after craftingComplete
+
+function historyFile(account) {
+  return dataPath('tradeups', `${String(account || 'unknown').replace(/[^\w.-]/g, '_')}.json`);
+}
+
+function loadHistory(account) {
+  return readJson(historyFile(account), []);
+}
+
+// Craft a contract through the session and record it. itemIds must be in the
+// session's inventory (it throws otherwise); resolves to the craft result plus
+// the history record (null if the GC refused the contract). source says what
+// ran it, for the audit log.
+async function performTradeup(session, itemIds, recipe, source = null) {
+  const gcMap = new Map((session.csgo?.inventory || []).map(i => [i.id?.toString(), i]));
+  if (recipe == null) throw new Error('No GC recipe id for this contract');
+  const missing = itemIds.filter(id => !gcMap.has(String(id)));
+  if (missing.length) throw new Error(`Items not found in inventory: ${missing.join(', ')}`);
+  const inputs = itemIds.map(id => gcMap.get(String(id)));
+  const calc = tradeup.calculateTradeup(inputs.map(tradeup.tradeupItem));
+  const value = prices.valueTradeup(inputs.map(formatItem), calc);
+
+  const audit = { source, recipe, inputIds: itemIds, startedAt: new Date().toISOString() };
+  let result;
+  try {
+    result = await sessions.craft(session, itemIds, recipe);
+  } catch (err) {
+    auditLog.recordTradeup(session.accountName, { ...audit, status: 'failed', error: err.message });
+    throw err;
+  }
+  // The GC refused the contract and kept the inputs
+  if (!result.success) {
+    auditLog.recordTradeup(session.accountName, { ...audit, status: 'refused' });
+    return { ...result, record: null };
+  }
+  const outputId = result.newItemIds[0].toString();
+  auditLog.recordTradeup(session.accountName, { ...audit, status: 'done', outputId });
+  const output = await waitForItem(session, outputId);
+  const record = recordTradeup(session.accountName, { recipe, inputs, calc, value, outputId, output });
+  return { ...result, record };
+}
+
+function waitForItem(session, id) {
+  const { csgo } = session;
+  const found = csgo?.inventory?.find(i => i.id?.toString() === id);
+  if (found || !csgo) return Promise.resolve(found || null);
+  return new Promise(resolve => {
+    const onItem = (item) => {
+      if (item?.id?.toString() !== id) return;
+      clearTimeout(timer);
+      csgo.off('itemAcquired', onItem);
+      resolve(item);
+    };
+    const timer = setTimeout(() => {
+      csgo.off('itemAcquired', onItem);
+      resolve(csgo.inventory?.find(i => i.id?.toString() === id) || null);
+    }, OUTPUT_WAIT_MS);
+    csgo.on('itemAcquired', onItem);
+  });
+}
+
+// inputs/output: raw GC items; calc/value: the prediction made before crafting
+function recordTradeup(account, { recipe, inputs, calc, value, outputId, output }) {
+  const out = output ? tradeup.tradeupItem(output) : null;
+  const outKey = out ? `${out.defIndex}_${out.paintIndex}` : null;
+  const predicted = calc.outputs.find(o => o.key === outKey) || null;
+  const outputValue = output ? prices.priceOf(formatItem(output)).price : null;
+
+  const record = {
+    id: crypto.randomUUID(),
+    account,
+    executedAt: new Date().toISOString(),
+    recipe,
+    inputRarity: calc.inputRarity,
+    targetRarity: calc.targetRarity,
+    stattrak: calc.stattrak,
+    inputs: inputs.map(tradeup.tradeupItem).map(i => ({
+      id: i.id, name: i.name, paintwear: i.paintwear, wear: tradeup.wearTier(i.paintwear)?.short || null, collections: i.collections, cases: i.cases,
+    })),
+    collectionShare: calc.collectionShare,
+    expected: calc.outputs.map(o => ({ key: o.key, name: o.name, collections: o.collections, probability: o.probability, float: o.float, wear: o.wear })),
+    output: {
+      id: outputId,
+      key: outKey,
+      name: out?.name || null,
+      rarity: out?.rarity || null,
+      collections: out?.collections || [],
+      cases: out?.cases || [],
+      paintwear: out?.paintwear ?? null,
+      wear: tradeup.wearTier(out?.paintwear)?.short || null,
+      predictedFloat: predicted?.float ?? null,
+    },
+    outputProbability: predicted ? predicted.probability : null,
+    currency: value.currency,
+    inputCost: value.inputCost,
+    expectedValue: value.expectedValue,
+    outputValue,
+  };
+
+  const history = loadHistory(account);
+  history.push(record);
+  writeJson(historyFile(account), history.slice(-MAX_RECORDS));
+  return record;
+}
+
+// ── Statistics ────────────────────────────────────────────────────────────────
+// Contracts with the same input tier, StatTrak-ness and collection mix are one
+// "kind"; for each kind (and per tier and collection overall) the expected number
+// of each outcome is the sum of its probabilities across contracts, to set
+// against how often it actually came out. Value figures only count contracts
+// whose inputs and outcomes were all priced when they ran.
+function historyStats(records) {
+  const byTier = {};
+  const byCollection = {};
+  const kinds = new Map();
+  const overall = newTotals();
+
+  for (const r of records) {
+    addTotals(overall, r);
+    addTotals(byTier[r.inputRarity || 'unknown'] ??= newTotals(), r);
+
+    for (const [collection, share] of Object.entries(r.collectionShare || {})) {
+      const c = byCollection[collection] ??= { contracts: 0, expected: 0, actual: 0 };
+      c.contracts++;
+      c.expected += share;
+    }
+    // Covert contracts share out by case, so their outputs count against the case
+    const groups = r.targetRarity === tradeup.RARE_SPECIAL ? r.output?.cases : r.output?.collections;
+    for (const collection of groups || []) {
+      if (byCollection[collection]) byCollection[collection].actual++;
+    }
+
+    const signature = kindSignature(r);
+    if (!kinds.has(signature)) {
+      kinds.set(signature, {
+        inputRarity: r.inputRarity,
+        stattrak: r.stattrak,
+        collectionShare: roundShares(r.collectionShare),
+        ...newTotals(),
+        outcomes: new Map(),
+      });
+    }
+    const kind = kinds.get(signature);
+    addTotals(kind, r);
+    for (const o of r.expected || []) {
+      const outcome = kind.outcomes.get(o.key) || { key: o.key, name: o.name, expected: 0, actual: 0 };
+      outcome.expected += o.probability;
+      kind.outcomes.set(o.key, outcome);
+    }
+    if (r.output?.key) {
+      const outcome = kind.outcomes.get(r.output.key) || { key: r.output.key, name: r.output.name, expected: 0, actual: 0 };
+      outcome.actual++;
+      kind.outcomes.set(r.output.key, outcome);
+    }
+  }
+
+  return {
+    ...finishTotals(overall),
+    byTier: Object.fromEntries(Object.entries(byTier).map(([tier, t]) => [tier, finishTotals(t)])),
+    byCollection: Object.fromEntries(Object.entries(byCollection).map(([c, v]) => [c, { ...v, expected: round(v.expected, 3) }])),
+    kinds: [...kinds.values()]
+      .map(({ outcomes, ...kind }) => ({
+        ...finishTotals(kind),
+        outcomes: [...outcomes.values()]
+          .map(o => ({ ...o, expected: round(o.expected, 3) }))
+          .sort((a, b) => b.expected - a.expected),
+      }))
+      .sort((a, b) => b.contracts - a.contracts),
+  };
+}
+
+function kindSignature(r) {
+  const shares = Object.entries(roundShares(r.collectionShare)).sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify([r.inputRarity, r.stattrak, shares]);
+}
+
+function roundShares(shares) {
+  return Object.fromEntries(Object.entries(shares || {}).map(([c, s]) => [c, round(s, 3)]));
+}
+
+function newTotals() {
+  return { contracts: 0, luckSum: 0, luckCount: 0, priced: 0, inputCost: 0, expectedValue: 0, outputValue: 0 };
+}
+
+function addTotals(t, r) {
+  t.contracts++;
+  // How likely the outcome we got was, relative to the best one on offer (1 = top pick)
+  const best = Math.max(0, ...(r.expected || []).map(o => o.probability));
+  if (r.outputProbability != null && best > 0) {
+    t.luckSum += r.outputProbability / best;
+    t.luckCount++;
+  }
+  if (r.inputCost != null && r.expectedValue != null && r.outputValue != null) {
+    t.priced++;
+    t.inputCost += r.inputCost;
+    t.expectedValue += r.expectedValue;
+    t.outputValue += r.outputValue;
+  }
+}
+
+function finishTotals({ luckSum, luckCount, priced, inputCost, expectedValue, outputValue, ...rest }) {
+  return {
+    ...rest,
+    averageOutcomeOdds: luckCount ? round(luckSum / luckCount, 3) : null,
+    value: priced ? {
+      contracts: priced,
+      inputCost: round(inputCost, 2),
+      expectedValue: round(expectedValue, 2),
+      outputValue: round(outputValue, 2),
+      expectedReturn: round(expectedValue - inputCost, 2),
+      actualReturn: round(outputValue - inputCost, 2),
+      luck: round(outputValue - expectedValue, 2),
+    } : null,
+  };
+}
+
+function round(n, places) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+module.exports = { loadHistory, performTradeup, historyStats };
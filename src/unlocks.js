@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./datafile');
+const sessions = require('./sessions');
+const jobs = require('./jobs');
+const storageIndex = require('./storageindex');
+const tradeupBatch = require('./tradeupbatch');
+const { isSystemItem, storageUnits, casketCapacity, formatItem } = require('./inventory');
+
+// ── Trade-hold unlocks ────────────────────────────────────────────────────────
+// upcomingUnlocks() lists every trade-locked item, in the inventory and in the
+// storage units, grouped by the (UTC) day it unlocks. Actions can be scheduled
+// to run once all of their items have unlocked:
+//
+//   move-to-storage  { casketId }  queue a move job into that storage unit
+//   tradeup-batch    { options }   start a batch trade-up (see tradeupbatch.js)
+//                                  that only uses these items
+//
+// Scheduled actions are kept in data/scheduled-actions.json so they survive a
+// restart. A due action waits until its account is connected; if an item's hold
+// was extended it waits for the new date. Items that have gone or sit in a
+// storage unit by then are skipped and listed in the action's result.
+const ACTIONS_FILE = dataPath('scheduled-actions.json');
+const CHECK_INTERVAL_MS = 60 * 1000;
+const FINISHED_TTL_MS = 30 * 24 * 60 * 60 * 1000; // finished actions are kept for a month
+const ACTION_TYPES = ['move-to-storage', 'tradeup-batch'];
+
+let actions = null; // loaded on first use
+let checkTimer = null;
+const inFlight = new Set(); // ids of actions being run right now
+
+function loadActions() {
+  if (!actions) actions = readJson(ACTIONS_FILE, []);
+  return actions;
+}
+
+function saveActions() {
+  const cutoff = Date.now() - FINISHED_TTL_MS;
+  actions = loadActions().filter(a => a.status === 'scheduled' || new Date(a.finishedAt || a.createdAt).getTime() > cutoff);
+  writeJson(ACTIONS_FILE, actions);
+}
+
+// When a trade hold ends, or null if the item isn't held
+function lockedUntil(item) {
+  const until = item?.tradable_after ? new Date(item.tradable_after) : null;
+  return until && until > new Date() ? until : null;
+}
+
+// ── Upcoming unlocks ──────────────────────────────────────────────────────────
+async function upcomingUnlocks(session) {
+  const account = session.accountName;
+  const units = storageUnits(session);
+  await storageIndex.ensureIndexed(account, units.map(u => u.id.toString()));
+  const unitNames = new Map(units.map(u => [u.id.toString(), u.custom_name || null]));
+
+  const locked = [
+    ...(session.csgo.inventory || []).filter(i => !isSystemItem(i) && i.casket_id == null && i.casket_contained_item_count == null),
+    ...storageIndex.indexedItems(account),
+  ].filter(lockedUntil);
+
+  const days = new Map();
+  for (const item of locked) {
+    const formatted = { ...formatItem(item), casketName: unitNames.get(item.casket_id?.toString()) ?? null };
+    const date = formatted.tradableAfter.slice(0, 10);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(formatted);
+  }
+  return {
+    account,
+    total: locked.length,
+    days: [...days.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, items]) => ({
+        date,
+        count: items.length,
+        items: items.sort((a, b) => a.tradableAfter.localeCompare(b.tradableAfter)),
+      })),
+  };
+}
+
+// ── Scheduled actions ─────────────────────────────────────────────────────────
+// Where each item is now: in the inventory, in an (indexed) storage unit, or gone
+function locate(session, itemIds) {
+  const inventory = new Map((session.csgo?.inventory || []).map(i => [i.id?.toString(), i]));
+  const stored = new Map(storageIndex.indexedItems(session.accountName).map(i => [i.id?.toString(), i]));
+  return itemIds.map(id => ({ id, item: inventory.get(id) || stored.get(id) || null, stored: !inventory.has(id) && stored.has(id) }));
+}
+
+function latestUnlock(found) {
+  const times = found.map(f => lockedUntil(f.item)).filter(Boolean).map(d => d.getTime());
+  return times.length ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+// Validate and save an action. Returns { action } or { error, status, details? }.
+// Storage units should be indexed first (see upcomingUnlocks) so stored items are found.
+function scheduleAction(session, { type, itemIds, casketId, options } = {}) {
+  if (!ACTION_TYPES.includes(type)) return { error: `Unknown action type: ${type} (use ${ACTION_TYPES.join(', ')})`, status: 400 };
+  if (!Array.isArray(itemIds) || !itemIds.length) return { error: 'itemIds array required', status: 400 };
+  if (type === 'move-to-storage' && !casketCapacity(session, casketId)) return { error: 'Storage unit not found', status: 404 };
+  if (type === 'tradeup-batch') {
+    const errors = tradeupBatch.validateStrategy(options);
+    if (options?.itemIds != null) errors.push('itemIds are taken from the scheduled action');
+    if (errors.length) return { error: 'Invalid batch options', details: errors, status: 400 };
+  }
+
+  const ids = [...new Set(itemIds.map(String))];
+  const found = locate(session, ids);
+  const missing = found.filter(f => !f.item).map(f => f.id);
+  if (missing.length) return { error: 'Items not found', details: missing, status: 404 };
+
+  const action = {
+    id: crypto.randomUUID(),
+    account: session.accountName,
+    type,
+    ...(type === 'move-to-storage' ? { casketId: String(casketId) } : { options }),
+    itemIds: ids,
+    unlockAt: latestUnlock(found),
+    status: 'scheduled',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+  loadActions().push(action);
+  saveActions();
+  checkDue();
+  return { action };
+}
+
+function getAction(id) {
+  return loadActions().find(a => a.id === id) || null;
+}
+
+function listActions(account) {
+  return loadActions().filter(a => account == null || a.account === account);
+}
+
+function cancelAction(action) {
+  if (action.status !== 'scheduled') return action;
+  action.status = 'cancelled';
+  action.finishedAt = new Date().toISOString();
+  saveActions();
+  return action;
+}
+
+// Run every action whose items should have unlocked, if its account is online
+function checkDue() {
+  const now = new Date();
+  for (const action of loadActions()) {
+    if (action.status !== 'scheduled' || inFlight.has(action.id)) continue;
+    if (action.unlockAt && new Date(action.unlockAt) > now) continue;
+    const session = sessions.getSession(action.account);
+    if (session?.status !== 'connected') continue;
+    inFlight.add(action.id);
+    runAction(session, action)
+      .catch(err => finish(action, 'failed', null, err.message))
+      .finally(() => inFlight.delete(action.id));
+  }
+}
+
+async function runAction(session, action) {
+  // The index starts empty after a restart or a new GC connection: without it,
+  // items in storage units would look gone
+  try {
+    await storageIndex.ensureIndexed(action.account, storageUnits(session).map(u => u.id.toString()));
+  } catch (err) {
+    console.warn(`[${action.account}] Scheduled ${action.type} waits: storage units could not be indexed:`, err.message);
+    return;
+  }
+  if (action.status !== 'scheduled') return;
+  const found = locate(session, action.itemIds);
+  // The hold was extended (a fresh trade, say): wait for the new date
+  const unlockAt = latestUnlock(found);
+  if (unlockAt) {
+    action.unlockAt = unlockAt;
+    return saveActions();
+  }
+
+  const skipped = [];
+  const ready = [];
+  for (const f of found) {
+    if (!f.item) skipped.push({ id: f.id, reason: 'No longer in the inventory' });
+    else if (f.stored) skipped.push({ id: f.id, reason: 'In a storage unit' });
+    else ready.push(f.id);
+  }
+  if (!ready.length) return finish(action, 'failed', { skipped }, 'None of the items are left in the inventory');
+
+  if (action.type === 'move-to-storage') {
+    const cap = casketCapacity(session, action.casketId);
+    if (!cap) return finish(action, 'failed', { skipped }, 'Storage unit not found');
+    const accepted = ready.slice(0, cap.free);
+    if (!accepted.length) return finish(action, 'failed', { skipped }, 'Storage unit is full');
+    const job = jobs.createMoveJob(action.account, 'add', action.casketId, accepted, { source: 'scheduled' });
+    return finish(action, 'done', { jobId: job.id, queued: accepted.length, unplaced: ready.slice(cap.free), skipped });
+  }
+
+  // One batch per account: try again on the next check once the current one ends
+  if (tradeupBatch.listBatches(action.account).some(b => ['running', 'paused', 'waiting'].includes(b.status))) return;
+  const { batch, error } = tradeupBatch.createBatch(session, { ...action.options, itemIds: ready });
+  if (error) return finish(action, 'failed', { skipped }, error);
+  finish(action, 'done', { batchId: batch.id, contracts: batch.contracts.length, skipped });
+}
+
+function finish(action, status, result, error = null) {
+  action.status = status;
+  action.result = result;
+  action.error = error;
+  action.finishedAt = new Date().toISOString();
+  saveActions();
+  console.log(`[${action.account}] Scheduled ${action.type} ${status}${error ? `: ${error}` : ''}`);
+}
+
+// Check on an interval and whenever an account (re)connects
+function startScheduler() {
+  if (checkTimer) return;
+  checkTimer = setInterval(checkDue, CHECK_INTERVAL_MS);
+  checkTimer.unref();
+  sessions.sessionEvents.on('status', (session) => {
+    if (session.status === 'connected') checkDue();
+  });
+  const pending = loadActions().filter(a => a.status === 'scheduled').length;
+  if (pending) console.log(`${pending} scheduled action${pending !== 1 ? 's' : ''} waiting for items to unlock`);
+}
+
+module.exports = {
+  ACTION_TYPES,
+  upcomingUnlocks, scheduleAction, getAction, listActions, cancelAction, startScheduler,
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ── Token vault ───────────────────────────────────────────────────────────────
+// .refresh_token.json holds { active, accounts: { username: refreshToken } }.
+// It can be stored as plain JSON or, once a passphrase is set, encrypted:
+//
+//   { vault: 1, kdf: 'scrypt', salt, iv, tag, data }   (base64, AES-256-GCM)
+//
+// An encrypted file stays locked until unlock() is given the passphrase (from
+// the UI, or SKINTOOLS_VAULT_PASSPHRASE on startup). The derived key is only
+// ever kept in memory. A file that can't be parsed, or no longer decrypts with
+// that key (edited, damaged, replaced), counts as locked too: vaultStatus()
+// reports why, and nothing is written over it. SKINTOOLS_TOKEN_FILE moves the file elsewhere.
+const TOKEN_FILE = process.env.SKINTOOLS_TOKEN_FILE ? path.resolve(process.env.SKINTOOLS_TOKEN_FILE) : path.join(__dirname, '../.refresh_token.json');
+const MIN_PASSPHRASE_LENGTH = 8;
+const SCRYPT_OPTIONS = { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const EMPTY = () => ({ active: null, accounts: {} });
+
+let key = null;   // derived key once unlocked or enabled
+let salt = null;
+
+// Errors carry the HTTP status the routes should answer with
+function vaultError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// The file's contents, null if there is none, or { error } if it isn't JSON
+function readFile() {
+  try {
+    if (fs.existsSync(TOKEN_FILE)) return JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8'));
+  } catch (err) {
+    return { error: `Token file can't be read: ${err.message}` };
+  }
+  return null;
+}
+
+function writeFile(data) {
+  const tmp = `${TOKEN_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data), { mode: 0o600 });
+  fs.renameSync(tmp, TOKEN_FILE);
+}
+
+function isEncrypted(file = readFile()) {
+  return file?.vault === 1;
+}
+
+// Why the file can't be read with the key we have, or null
+function readError(file) {
+  if (file?.error) return file.error;
+  if (!key || !isEncrypted(file)) return null;
+  try {
+    decrypt(file, key);
+    return null;
+  } catch {
+    return 'Token vault no longer decrypts with the unlocked passphrase (the file was changed or is damaged)';
+  }
+}
+
+function vaultStatus() {
+  const file = readFile();
+  const encrypted = isEncrypted(file) || !!key;
+  const error = readError(file);
+  return { encrypted, locked: (encrypted && !key) || !!error, error };
+}
+
+// Writes would replace tokens we can't see: refuse while locked or unreadable
+function checkWritable() {
+  const { locked, error } = vaultStatus();
+  if (error) throw vaultError(error, 409);
+  if (locked) throw vaultError('Token vault is locked', 423);
+}
+
+function isLocked() {
+  return vaultStatus().locked;
+}
+
+function deriveKey(passphrase, keySalt) {
+  return crypto.scryptSync(String(passphrase), keySalt, 32, SCRYPT_OPTIONS);
+}
+
+function encrypt(data) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const body = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  return {
+    vault: 1,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: body.toString('base64'),
+  };
+}
+
+// Throws if the key is wrong (GCM authentication fails)
+function decrypt(file, fileKey) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', fileKey, Buffer.from(file.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+  const body = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+  return JSON.parse(body.toString('utf8'));
+}
+
+// Old single-account format: { accountName, token }
+function migrateLegacy(data) {
+  if (data.accountName !== undefined && !data.accounts) {
+    return { active: data.accountName, accounts: { [data.accountName]: data.token } };
+  }
+  return data;
+}
+
+// ── Reading and writing tokens ────────────────────────────────────────────────
+// While locked or unreadable, reads see no accounts and writes are refused so
+// the file is never overwritten with plaintext or an empty vault.
+function readTokens() {
+  const file = readFile();
+  if (!file || file.error) return EMPTY();
+  if (!isEncrypted(file)) return migrateLegacy(file);
+  if (!key) return EMPTY();
+  try {
+    return decrypt(file, key);
+  } catch {
+    return EMPTY();
+  }
+}
+
+function writeTokens(data) {
+  checkWritable();
+  writeFile(key ? encrypt(data) : data);
+}
+
+// Logging out forgets every token but keeps the vault (and its passphrase) in place
+function clearTokens() {
+  checkWritable();
+  if (key) writeFile(encrypt(EMPTY()));
+  else try { fs.unlinkSync(TOKEN_FILE); } catch {}
+}
+
+// ── Passphrase management ─────────────────────────────────────────────────────
+function unlock(passphrase) {
+  const file = readFile();
+  if (file?.error) throw vaultError(file.error, 409);
+  if (!isEncrypted(file)) throw vaultError('Token file is not encrypted', 409);
+  const fileSalt = Buffer.from(file.salt, 'base64');
+  const fileKey = deriveKey(passphrase, fileSalt);
+  try {
+    decrypt(file, fileKey);
+  } catch {
+    throw vaultError('Wrong passphrase', 401);
+  }
+  key = fileKey;
+  salt = fileSalt;
+}
+
+// Encrypt the current (plaintext or legacy) token file under a new passphrase
+function enable(passphrase) {
+  if (vaultStatus().encrypted) throw vaultError('Token vault is already enabled', 409);
+  checkWritable();
+  checkPassphrase(passphrase);
+  const data = readTokens();
+  salt = crypto.randomBytes(16);
+  key = deriveKey(passphrase, salt);
+  writeFile(encrypt(data));
+}
+
+// Re-encrypt under a new passphrase (with a fresh salt); the current one must match
+function rotate(passphrase, newPassphrase) {
+  if (!vaultStatus().encrypted) throw vaultError('Token vault is not enabled', 409);
+  checkWritable();
+  if (!crypto.timingSafeEqual(deriveKey(passphrase, salt), key)) throw vaultError('Wrong passphrase', 401);
+  checkPassphrase(newPassphrase);
+  const data = readTokens();
+  salt = crypto.randomBytes(16);
+  key = deriveKey(newPassphrase, salt);
+  writeFile(encrypt(data));
+}
+
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw vaultError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, 400);
+  }
+}
+
+// Rewrite an old single-account plaintext file in the current format. Reads
+// convert it in memory, so a failed write here only costs the next startup a retry.
+function migrateFile() {
+  const file = readFile();
+  if (!file || file.error || isEncrypted(file)) return;
+  const data = migrateLegacy(file);
+  if (data === file) return;
+  try {
+    writeFile(data);
+  } catch (err) {
+    console.warn('Could not migrate the token file:', err.message);
+  }
+}
+
+// On startup: migrate an old token file, unlock with SKINTOOLS_VAULT_PASSPHRASE
+// if set, and move a plaintext token file into the vault under that passphrase
+function unlockFromEnv(passphrase = process.env.SKINTOOLS_VAULT_PASSPHRASE) {
+  migrateFile();
+  if (!passphrase) return false;
+  if (isEncrypted()) unlock(passphrase);
+  else enable(passphrase);
+  return true;
+}
+
+module.exports = {
+  vaultStatus, isLocked, readTokens, writeTokens, clearTokens,
+  unlock, enable, rotate, unlockFromEnv,
+};
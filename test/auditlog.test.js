@@ -0,0 +1,47 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+const dir = tempDir();
+process.env.SKINTOOLS_DATA_DIR = path.join(dir, 'data');
+const auditLog = require('../src/auditlog');
+const jobs = require('../src/jobs');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+fs.mkdirSync(path.join(dir, 'data/audit'), { recursive: true });
+const auditFile = (account, ext = 'jsonl') => path.join(dir, 'data/audit', `${account}.${ext}`);
+const lines = (account) => fs.readFileSync(auditFile(account), 'utf8').trim().split('\n');
+
+test('a move is appended as it changes and read back as its latest state', () => {
+  const job = { id: 'job-1', account: 'alice', operationId: 'op-1', source: 'add-bulk', type: 'add', casketId: '7', items: [{ id: '1', status: 'pending' }] };
+  jobs.jobEvents.emit('created', job);
+  jobs.jobEvents.emit('finished', { ...job, items: [{ id: '1', status: 'moved' }] });
+
+  assert.strictEqual(lines('alice').length, 2);
+  const entries = auditLog.listEntries('alice');
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].status, 'done');
+  assert.deepStrictEqual(entries[0].items, [{ id: '1', from: null, to: '7', status: 'moved', error: null }]);
+});
+
+test('an old JSON log is moved to the append-only file', () => {
+  const old = [{ id: 'op-old', account: 'bob', type: 'tradeup', status: 'done' }];
+  fs.writeFileSync(auditFile('bob', 'json'), JSON.stringify(old));
+  assert.deepStrictEqual(auditLog.listEntries('bob'), old);
+  assert.ok(!fs.existsSync(auditFile('bob', 'json')));
+  assert.strictEqual(lines('bob').length, 1);
+});
+
+test('a log that has grown too long is cut back to the newest entries', () => {
+  const seeded = Array.from({ length: 3999 }, (_, i) => JSON.stringify({ id: `op-${i}`, type: 'tradeup' })).join('\n');
+  fs.writeFileSync(auditFile('carol'), seeded + '\n');
+  auditLog.recordTradeup('carol', { recipe: 2, inputIds: ['1'], status: 'refused' });
+
+  assert.strictEqual(lines('carol').length, 2000);
+  const [newest, next] = auditLog.listEntries('carol', { limit: 2 });
+  assert.strictEqual(newest.status, 'refused');
+  assert.strictEqual(next.id, 'op-3998');
+});
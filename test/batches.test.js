@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor } = require('./helpers');
+
+const ACCOUNT = 'batcher';
+
+let server;
+before(async () => {
+  // Slow enough to drop the GC while a contract is in flight
+  server = await startServer({ SKINTOOLS_SIM_LATENCY_MS: '200' });
+  await server.login(ACCOUNT);
+});
+after(() => server?.stop());
+
+async function batchStatus(id, status) {
+  return waitFor(async () => {
+    const { body } = await server.api('GET', `/api/tradeup/batches/${id}`);
+    return body.status === status && body;
+  }, { what: `batch ${status}` });
+}
+
+test('a batch paused while waiting for the GC stays paused once it is back', async () => {
+  const { body } = await server.api('POST', '/api/tradeup/batches', { rarity: 'rarity_rare_weapon', count: 1 });
+  await server.api('POST', '/api/debug/drop-connection', { kind: 'gc', outageMs: 1000 });
+  await batchStatus(body.batchId, 'waiting');
+  await server.api('POST', `/api/tradeup/batches/${body.batchId}/pause`);
+
+  const paused = await batchStatus(body.batchId, 'paused');
+  assert.strictEqual(paused.progress.pending, 1);
+  const { body: health } = await server.api('GET', '/api/health');
+  assert.strictEqual(health.sessions.find(s => s.accountName === ACCOUNT).status, 'connected');
+
+  await server.api('POST', `/api/tradeup/batches/${body.batchId}/resume`);
+  const done = await batchStatus(body.batchId, 'done');
+  assert.strictEqual(done.progress.done, 1);
+});
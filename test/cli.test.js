@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const { tempDir, runCli, saveAccount } = require('./helpers');
+
+const ACCOUNT = 'scripter';
+
+let dir;
+before(() => {
+  dir = tempDir();
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('usage errors exit 2', async () => {
+  assert.strictEqual((await runCli(dir, [])).code, 2);
+  assert.strictEqual((await runCli(dir, ['frobnicate'])).code, 2);
+  assert.strictEqual((await runCli(dir, ['units', '--timeout', 'soon'])).code, 2);
+});
+
+test('no saved account exits 3', async () => {
+  const { code, stderr } = await runCli(dir, ['units']);
+  assert.strictEqual(code, 3);
+  assert.match(stderr, /No saved account/);
+});
+
+test('an unknown account exits 4', async () => {
+  saveAccount(dir, ACCOUNT);
+  assert.strictEqual((await runCli(dir, ['--account', 'nobody', 'units'])).code, 4);
+});
+
+test('units lists the storage units and exits 0', async () => {
+  saveAccount(dir, ACCOUNT);
+  const { code, stdout } = await runCli(dir, ['--json', 'units']);
+  assert.strictEqual(code, 0);
+  const { units } = JSON.parse(stdout);
+  assert.deepStrictEqual(units.map(u => u.name), ['Cases', 'Trade-up fodder', 'Empty']);
+});
+
+test('a cached schema is used without waiting for the schema source', async () => {
+  saveAccount(dir, ACCOUNT);
+  // A source that accepts the connection and never answers
+  const stalled = http.createServer(() => {});
+  await new Promise(resolve => stalled.listen(0, '127.0.0.1', resolve));
+  try {
+    const started = Date.now();
+    const { code, stdout } = await runCli(dir, ['--json', 'units'], {
+      SKINTOOLS_SCHEMA_SOURCE: `http://127.0.0.1:${stalled.address().port}`,
+    });
+    assert.strictEqual(code, 0);
+    assert.strictEqual(JSON.parse(stdout).units.length, 3);
+    assert.ok(Date.now() - started < 10000, 'waited on the schema source');
+  } finally {
+    stalled.closeAllConnections();
+    stalled.close();
+  }
+});
+
+test('an unknown storage unit exits 4', async () => {
+  saveAccount(dir, ACCOUNT);
+  assert.strictEqual((await runCli(dir, ['unit', 'Nope'])).code, 4);
+});
+
+test('move-in moves the selected items and exits 0', async () => {
+  saveAccount(dir, ACCOUNT);
+  const { code, stdout } = await runCli(dir, ['--json', 'move-in', 'Empty', '--ids', '1000000004,1000000005']);
+  assert.strictEqual(code, 0);
+  const result = JSON.parse(stdout);
+  assert.strictEqual(result.status, 'done');
+  assert.strictEqual(result.progress.moved, 2);
+});
+
+test('a trade-up without --yes is a dry run and exits 0', async () => {
+  saveAccount(dir, ACCOUNT);
+  const ids = Array.from({ length: 10 }, (_, i) => String(1000000004 + i));
+  const { code, stdout } = await runCli(dir, ['--json', 'tradeup', '--ids', ids.join(',')]);
+  assert.strictEqual(code, 0);
+  assert.strictEqual(JSON.parse(stdout).executed, false);
+});
+
+test('a trade-up listing an item twice exits 2 without crafting', async () => {
+  saveAccount(dir, ACCOUNT);
+  const ids = [...Array.from({ length: 9 }, (_, i) => String(1000000006 + i)), '1000000006'];
+  const { code, stderr } = await runCli(dir, ['tradeup', '--yes', '--ids', ids.join(',')]);
+  assert.strictEqual(code, 2);
+  assert.match(stderr, /only go into the contract once: 1000000006/);
+});
+
+test('a trade-up the GC refuses exits 1', async () => {
+  saveAccount(dir, ACCOUNT);
+  const ids = Array.from({ length: 10 }, (_, i) => String(1000000006 + i));
+  const { code, stdout } = await runCli(dir, ['tradeup', '--yes', '--ids', ids.join(',')], { SKINTOOLS_SIM_REFUSE_CRAFTS: '1' });
+  assert.strictEqual(code, 1);
+  assert.match(stdout, /GC refused the contract/);
+  assert.doesNotMatch(stdout, /Crafted:/);
+});
+
+test('a Covert trade-up is not sent to the GC while its recipe is unknown', async () => {
+  saveAccount(dir, ACCOUNT);
+  const ids = Array.from({ length: 5 }, (_, i) => String(1000000074 + i));
+  const { code, stderr } = await runCli(dir, ['tradeup', '--yes', '--ids', ids.join(',')]);
+  assert.strictEqual(code, 1);
+  assert.match(stderr, /SKINTOOLS_COVERT_RECIPE/);
+});
+
+test('a trade-up the GC performs exits 0', async () => {
+  saveAccount(dir, ACCOUNT);
+  const ids = Array.from({ length: 10 }, (_, i) => String(1000000006 + i));
+  const { code, stdout } = await runCli(dir, ['--json', 'tradeup', '--yes', '--ids', ids.join(',')]);
+  assert.strictEqual(code, 0);
+  assert.strictEqual(JSON.parse(stdout).newItemIds.length, 1);
+});
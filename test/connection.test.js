@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor } = require('./helpers');
+
+const EMPTY_UNIT = '1000000003';
+
+let server;
+before(async () => {
+  // Slow enough to drop the GC while a move or contract is in flight
+  server = await startServer({ SKINTOOLS_SIM_LATENCY_MS: '200' });
+});
+after(() => server?.stop());
+
+test('logging an account off cancels its waiting jobs', async () => {
+  const account = 'leaver';
+  await server.login(account);
+  const base = `/api/accounts/${account}`;
+  const { body: move } = await server.api('POST', `${base}/storage/${EMPTY_UNIT}/add-bulk`, {
+    itemIds: ['1000000013', '1000000014', '1000000015', '1000000016'],
+  });
+  await server.api('POST', `${base}/debug/drop-connection`, { kind: 'gc', outageMs: 60000 });
+  await waitFor(async () => (await server.api('GET', `/api/jobs/${move.jobId}`)).body.status === 'waiting', { what: 'the job to wait' });
+
+  await server.api('POST', `${base}/logout`);
+  const job = await server.waitForJob(move.jobId);
+  assert.strictEqual(job.status, 'cancelled');
+  assert.ok(job.progress.cancelled > 0);
+});
+
+test('logging an account off cancels its waiting trade-up batch', async () => {
+  const account = 'quitter';
+  await server.login(account);
+  const base = `/api/accounts/${account}`;
+  const { status, body } = await server.api('POST', `${base}/tradeup/batches`, { rarity: 'rarity_rare_weapon', count: 1 });
+  assert.strictEqual(status, 200);
+  await server.api('POST', `${base}/debug/drop-connection`, { kind: 'gc', outageMs: 60000 });
+  await waitFor(async () => (await server.api('GET', `/api/tradeup/batches/${body.batchId}`)).body.status === 'waiting', { what: 'the batch to wait' });
+
+  await server.api('POST', `${base}/logout`);
+  const batch = await waitFor(async () => {
+    const { body: b } = await server.api('GET', `/api/tradeup/batches/${body.batchId}`);
+    return b.status === 'cancelled' && b;
+  }, { what: 'the batch to be cancelled' });
+  assert.strictEqual(batch.error, 'Account was logged off');
+  assert.strictEqual(batch.progress.cancelled, 1);
+});
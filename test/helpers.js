@@ -0,0 +1,127 @@
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// ── Test harness ──────────────────────────────────────────────────────────────
+// Runs the real server and CLI against the simulated GC, each test file with its
+// own temporary data directory and token file so nothing touches data/.
+const ROOT = path.join(__dirname, '..');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'skintools-test-'));
+}
+
+function testEnv(dir, extra = {}) {
+  return {
+    ...process.env,
+    SKINTOOLS_BACKEND: 'simulator',
+    SKINTOOLS_DATA_DIR: path.join(dir, 'data'),
+    SKINTOOLS_TOKEN_FILE: path.join(dir, 'tokens.json'),
+    SKINTOOLS_SIM_LATENCY_MS: '5',
+    SKINTOOLS_SNAPSHOT_INTERVAL_MIN: '0',
+    SKINTOOLS_VAULT_PASSPHRASE: '',
+    ...extra,
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on('error', reject);
+  });
+}
+
+async function waitFor(check, { timeoutMs = 10000, what = 'condition' } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 25));
+  }
+}
+
+// ── Server ────────────────────────────────────────────────────────────────────
+// Returns { api(method, path, body), login(account), waitForJob(id), stop(), dir }.
+// Pass the dir of a server stopped with stop({ keepDir: true }) to restart it.
+async function startServer(extraEnv = {}, { dir = tempDir() } = {}) {
+  const port = await freePort();
+  const secret = 'test-secret';
+  fs.mkdirSync(path.join(dir, 'data'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'data/session-secret.json'), JSON.stringify({ secret }));
+  const child = spawn(process.execPath, [path.join(ROOT, 'src/server.js')], {
+    env: testEnv(dir, { SKINTOOLS_PORT: String(port), SKINTOOLS_DEBUG: '1', ...extraEnv }),
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  try {
+    await waitFor(() => output.includes('SkinTools running') || child.exitCode != null, { what: 'server start' });
+  } finally {
+    if (!output.includes('SkinTools running')) child.kill();
+  }
+  if (child.exitCode != null) throw new Error(`Server exited:\n${output}`);
+
+  async function api(method, urlPath, body) {
+    const res = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+      method,
+      headers: { 'X-SkinTools-Secret': secret, ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}) },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function login(account) {
+    await api('POST', '/api/auth/login', { username: account, password: 'x' });
+    await waitFor(async () => {
+      const { body } = await api('GET', '/api/accounts');
+      return body.accounts.find(a => a.accountName === account)?.status === 'connected';
+    }, { what: `${account} to connect` });
+    await waitFor(async () => (await api('GET', '/api/schema')).body.counts?.skin > 0, { what: 'item schema' });
+  }
+
+  async function waitForJob(id) {
+    return waitFor(async () => {
+      const { body } = await api('GET', `/api/jobs/${id}`);
+      return ['done', 'partial', 'failed', 'cancelled'].includes(body.status) && body;
+    }, { what: `job ${id}` });
+  }
+
+  async function stop({ keepDir = false } = {}) {
+    if (child.exitCode == null) {
+      child.kill();
+      await exited;
+    }
+    if (!keepDir) fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { api, login, waitForJob, stop, dir, output: () => output };
+}
+
+// ── CLI ───────────────────────────────────────────────────────────────────────
+// Resolves { code, stdout, stderr }; never rejects on a non-zero exit
+function runCli(dir, args, extraEnv = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(ROOT, 'src/cli.js'), ...args], {
+      env: testEnv(dir, extraEnv),
+      timeout: 30000,
+    }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code ?? 1 : 0, stdout, stderr });
+    });
+  });
+}
+
+// Saves a simulated account the CLI can log in with
+function saveAccount(dir, account) {
+  fs.writeFileSync(path.join(dir, 'tokens.json'), JSON.stringify({ active: account, accounts: { [account]: `simulated:${account}` } }));
+}
+
+module.exports = { tempDir, startServer, runCli, saveAccount, waitFor };
@@ -0,0 +1,30 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const ACCOUNT = 'mover';
+const EMPTY_UNIT = '1000000003';
+
+let server;
+before(async () => {
+  server = await startServer();
+  await server.login(ACCOUNT);
+});
+after(() => server?.stop());
+
+function unitCount(units, id) {
+  return units.find(u => u.casketId === id).count;
+}
+
+test('add-bulk moves items into a storage unit as a confirmed job', async () => {
+  const { status, body } = await server.api('POST', `/api/storage/${EMPTY_UNIT}/add-bulk`, { itemIds: ['1000000004', '1000000005'] });
+  assert.strictEqual(status, 200);
+  const job = await server.waitForJob(body.jobId);
+  assert.strictEqual(job.status, 'done');
+  assert.deepStrictEqual(job.progress, { total: 2, moved: 2, failed: 0, cancelled: 0, pending: 0 });
+
+  const { body: cap } = await server.api('GET', '/api/storage-capacity');
+  assert.strictEqual(unitCount(cap.units, EMPTY_UNIT), 2);
+  const { body: inv } = await server.api('GET', '/api/inventory');
+  assert.ok(!inv.inventory.some(i => i.id === '1000000004'));
+});
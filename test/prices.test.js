@@ -0,0 +1,44 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+const dir = tempDir();
+process.env.SKINTOOLS_DATA_DIR = path.join(dir, 'data');
+const prices = require('../src/prices');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const KARAMBIT = { marketName: '★ Karambit | Doppler', name: '★ Karambit | Doppler', paintindex: 418, paintwear: 0.02, star: true };
+
+test('market names follow Steam for plain, StatTrak, ★ and Souvenir items', () => {
+  const redline = { marketName: 'AK-47 | Redline', name: 'AK-47 | Redline', paintindex: 282, paintwear: 0.2 };
+  assert.strictEqual(prices.marketHashName(redline), 'AK-47 | Redline (Field-Tested)');
+  assert.strictEqual(prices.marketHashName({ ...redline, stattrak: true }), 'StatTrak™ AK-47 | Redline (Field-Tested)');
+  assert.strictEqual(prices.marketHashName(KARAMBIT), '★ Karambit | Doppler (Factory New)');
+  assert.strictEqual(prices.marketHashName({ ...KARAMBIT, stattrak: true }), '★ StatTrak™ Karambit | Doppler (Factory New)');
+  assert.strictEqual(prices.marketHashName({ marketName: 'AWP | Dragon Lore', paintindex: 344, paintwear: 0.01, souvenir: true }),
+    'Souvenir AWP | Dragon Lore (Factory New)');
+});
+
+test('market names use the English name and leave unpainted items alone', () => {
+  assert.strictEqual(prices.marketHashName({ ...KARAMBIT, name: '★ Karambit | Doppler (de)' }), '★ Karambit | Doppler (Factory New)');
+  assert.strictEqual(prices.marketHashName({ marketName: '★ Karambit', star: true, stattrak: true, paintindex: 0 }), '★ StatTrak™ Karambit');
+  assert.strictEqual(prices.marketHashName({ marketName: 'Sticker | Crown (Foil)' }), 'Sticker | Crown (Foil)');
+});
+
+test('★ StatTrak outputs of a trade-up are priced', async () => {
+  prices.registerPriceProvider({
+    name: 'test',
+    load: async () => ({ '★ StatTrak™ Karambit | Doppler (Factory New)': 1500 }),
+  });
+  await prices.reloadPrices();
+  const calc = {
+    stattrak: true,
+    outputs: [{ name: '★ Karambit | Doppler', special: 'knife', probability: 1, float: 0.02 }],
+  };
+  const value = prices.valueTradeup([], calc);
+  assert.strictEqual(value.outputs[0].price, 1500);
+  assert.strictEqual(value.expectedValue, 1500);
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const ACCOUNT = 'packer';
+const EMPTY_UNIT = '1000000003';
+const CASES_UNIT = '1000000001';
+
+let server;
+before(async () => {
+  server = await startServer();
+  await server.login(ACCOUNT);
+});
+after(() => server?.stop());
+
+test('add-bulk refuses more items than the unit has room for', async () => {
+  const { body: cap } = await server.api('GET', '/api/storage-capacity');
+  const free = cap.units.find(u => u.casketId === CASES_UNIT).free;
+  const itemIds = Array.from({ length: free + 1 }, (_, i) => String(2000000000 + i));
+  const { status } = await server.api('POST', `/api/storage/${CASES_UNIT}/add-bulk`, { itemIds });
+  assert.strictEqual(status, 409);
+});
+
+test('distribute fills the listed units in order and reports what is left', async () => {
+  const { status, body } = await server.api('POST', '/api/storage/distribute', {
+    itemIds: ['1000000006', '1000000007'], casketIds: [EMPTY_UNIT],
+  });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.jobs.length, 1);
+  assert.deepStrictEqual(body.unplaced, []);
+  const job = await server.waitForJob(body.jobs[0].jobId);
+  assert.strictEqual(job.status, 'done');
+  assert.strictEqual(job.operationId, body.operationId);
+});
+
+test('distribute counts a unit listed twice once', async () => {
+  const { body: cap } = await server.api('GET', '/api/storage-capacity');
+  const free = cap.units.find(u => u.casketId === CASES_UNIT).free;
+  const itemIds = Array.from({ length: free + 2 }, (_, i) => String(2000000000 + i));
+  const { status, body } = await server.api('POST', '/api/storage/distribute', {
+    itemIds, casketIds: [CASES_UNIT, CASES_UNIT],
+  });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.jobs.map(j => [j.casketId, j.queued]), [[CASES_UNIT, free]]);
+  assert.deepStrictEqual(body.unplaced, itemIds.slice(free));
+  await server.api('POST', `/api/jobs/${body.jobs[0].jobId}/cancel`);
+  await server.waitForJob(body.jobs[0].jobId);
+});
+
+test('distribute rejects unknown storage units', async () => {
+  const { status } = await server.api('POST', '/api/storage/distribute', { itemIds: ['1000000008'], casketIds: ['42'] });
+  assert.strictEqual(status, 404);
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const ACCOUNT = 'crafter';
+const MIL_SPEC = ['1000000004', '1000000005', '1000000006', '1000000007', '1000000008',
+  '1000000009', '1000000010', '1000000011', '1000000012', '1000000013'];
+const COVERT = ['1000000074', '1000000075', '1000000076', '1000000077', '1000000078'];
+// Seven Simulator Alpha skins and three Simulator Beta ones
+const MIXED = [...MIL_SPEC.slice(0, 7), '1000000014', '1000000015', '1000000016'];
+
+// Worked out by hand from the fixture: each input's wear normalized to its skin's
+// float range, averaged, then scaled to each output's range. Alpha has two
+// Restricted skins, Beta three.
+const MIXED_AVERAGE = 0.2381608;
+const MIXED_OUTPUTS = {
+  'FAMAS | Mock Run':          { probability: 0.7 / 2, float: 0.1667126 }, // 0 – 0.7
+  'Galil AR | Stub':           { probability: 0.7 / 2, float: 0.3143447 }, // 0.1 – 1
+  'M4A4 | Localhost':          { probability: 0.3 / 3, float: 0.1786206 }, // 0 – 0.75
+  'Desert Eagle | Emulator':   { probability: 0.3 / 3, float: 0.0952643 }, // 0 – 0.4
+  'USP-S | Breakpoint':        { probability: 0.3 / 3, float: 0.2381608 }, // 0 – 1
+};
+const MIL_SPEC_FLOATS = { 'FAMAS | Mock Run': 0.1595505, 'Galil AR | Stub': 0.3051363 };
+
+// The GC works in 32-bit floats
+function assertClose(actual, expected, what) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${what}: ${actual} is not ${expected}`);
+}
+
+let server;
+before(async () => {
+  // Any id will do: the simulator takes whichever recipe is configured
+  server = await startServer({ SKINTOOLS_COVERT_RECIPE: '99' });
+  await server.login(ACCOUNT);
+});
+after(() => server?.stop());
+
+function outputsQuery(ids) {
+  return ids.map(id => `itemIds[]=${id}`).join('&');
+}
+
+test('outcome table: chances follow each collection\'s share and floats the inputs\' wear', async () => {
+  const { body: calc } = await server.api('GET', `/api/tradeup/outputs?${outputsQuery(MIXED)}`);
+  assert.deepStrictEqual(calc.warnings, []);
+  assert.strictEqual(calc.inputRarity, 'rarity_rare_weapon');
+  assertClose(calc.averageNormalizedFloat, MIXED_AVERAGE, 'average');
+  assert.deepStrictEqual(calc.outputs.map(o => o.name).sort(), Object.keys(MIXED_OUTPUTS).sort());
+  for (const o of calc.outputs) {
+    assertClose(o.probability, MIXED_OUTPUTS[o.name].probability, `${o.name} chance`);
+    assertClose(o.float, MIXED_OUTPUTS[o.name].float, `${o.name} float`);
+  }
+});
+
+test('outcome table warns about mixed rarities and wrong input counts', async () => {
+  const { body: mixed } = await server.api('GET', `/api/tradeup/outputs?${outputsQuery([...MIL_SPEC.slice(0, 9), '1000000017'])}`);
+  assert.ok(mixed.warnings.includes('Inputs are not all the same rarity'));
+  const { body: short } = await server.api('GET', `/api/tradeup/outputs?${outputsQuery(MIL_SPEC.slice(0, 9))}`);
+  assert.ok(short.warnings.some(w => w.startsWith('Contract needs 10 inputs')));
+});
+
+test('a contract listing an item twice or one not in the inventory is rejected before crafting', async () => {
+  const repeated = [...MIL_SPEC.slice(0, 9), MIL_SPEC[0]];
+  const { body: calc } = await server.api('GET', `/api/tradeup/outputs?${outputsQuery(repeated)}`);
+  assert.ok(calc.warnings.includes(`Items listed more than once: ${MIL_SPEC[0]}`));
+
+  const twice = await server.api('POST', '/api/tradeup/execute', { itemIds: repeated, rarity: 'rarity_rare_weapon' });
+  assert.strictEqual(twice.status, 400);
+  assert.deepStrictEqual(twice.body.repeated, [MIL_SPEC[0]]);
+  const unknown = await server.api('POST', '/api/tradeup/execute', { itemIds: [...MIL_SPEC.slice(0, 9), '42'], rarity: 'rarity_rare_weapon' });
+  assert.strictEqual(unknown.status, 400);
+  assert.deepStrictEqual(unknown.body.missing, ['42']);
+
+  const { body: audit } = await server.api('GET', '/api/audit?type=tradeup');
+  assert.deepStrictEqual(audit.entries, []);
+});
+
+test('a trade-up consumes the inputs, records the predicted outcome and is audited', async () => {
+  const { status, body } = await server.api('POST', '/api/tradeup/execute', { itemIds: MIL_SPEC, rarity: 'rarity_rare_weapon' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.newItemIds.length, 1);
+  const { record } = body;
+  assertClose(record.outputProbability, 0.5, 'output chance');
+  assertClose(record.output.paintwear, MIL_SPEC_FLOATS[record.output.name], 'output float');
+
+  const { body: inv } = await server.api('GET', '/api/inventory');
+  assert.ok(!inv.inventory.some(i => MIL_SPEC.includes(i.id)));
+  const output = inv.inventory.find(i => i.id === String(body.newItemIds[0]));
+  assert.strictEqual(output.rarity, 'rarity_mythical_weapon');
+
+  const { body: audit } = await server.api('GET', '/api/audit?type=tradeup');
+  assert.strictEqual(audit.entries[0].status, 'done');
+  assert.strictEqual(audit.entries[0].outputId, String(body.newItemIds[0]));
+});
+
+test('the GC refuses an invalid contract and keeps the inputs', async () => {
+  const ids = ['1000000014', '1000000015', '1000000016', '1000000017', '1000000018',
+    '1000000021', '1000000024', '1000000025', '1000000026', '1000000022'];
+  const { body } = await server.api('POST', '/api/tradeup/execute', { itemIds: ids, rarity: 'rarity_rare_weapon' });
+  assert.strictEqual(body.success, false);
+  assert.deepStrictEqual(body.newItemIds, []);
+  const { body: inv } = await server.api('GET', '/api/inventory');
+  assert.ok(inv.inventory.some(i => i.id === '1000000014'));
+  const { body: audit } = await server.api('GET', '/api/audit?type=tradeup');
+  assert.strictEqual(audit.entries[0].status, 'refused');
+});
+
+test('five Covert skins trade up into an unusual knife or glove', async () => {
+  const { body } = await server.api('POST', '/api/tradeup/execute', { itemIds: COVERT, rarity: 'rarity_ancient_weapon' });
+  assert.strictEqual(body.newItemIds.length, 1);
+  const { body: inv } = await server.api('GET', '/api/inventory');
+  const output = inv.inventory.find(i => i.id === String(body.newItemIds[0]));
+  assert.strictEqual(output.star, true);
+  assert.strictEqual(output.stattrak, false);
+  assert.strictEqual(output.quality, '★');
+  assert.ok(output.marketName.startsWith('★ '));
+});
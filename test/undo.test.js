@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const ACCOUNT = 'undoer';
+const EMPTY_UNIT = '1000000003';
+
+let server;
+before(async () => {
+  server = await startServer();
+  await server.login(ACCOUNT);
+});
+after(() => server?.stop());
+
+test('undo moves an operation back and can only be done once', async () => {
+  const { body: move } = await server.api('POST', `/api/storage/${EMPTY_UNIT}/add-bulk`, { itemIds: ['1000000009', '1000000010'] });
+  await server.waitForJob(move.jobId);
+
+  const { body: entry } = await server.api('GET', `/api/audit/${move.operationId}`);
+  assert.strictEqual(entry.status, 'done');
+  assert.strictEqual(entry.source, 'add-bulk');
+  assert.deepStrictEqual(entry.items.map(i => [i.id, i.from, i.to]), [
+    ['1000000009', null, EMPTY_UNIT], ['1000000010', null, EMPTY_UNIT],
+  ]);
+
+  const { status, body: undo } = await server.api('POST', `/api/audit/${move.operationId}/undo`);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(undo.jobs.map(j => [j.type, j.casketId, j.queued]), [['remove', EMPTY_UNIT, 2]]);
+  const job = await server.waitForJob(undo.jobs[0].jobId);
+  assert.strictEqual(job.status, 'done');
+
+  const { body: inv } = await server.api('GET', '/api/inventory');
+  assert.ok(inv.inventory.some(i => i.id === '1000000009'));
+  assert.ok(inv.inventory.some(i => i.id === '1000000010'));
+  const { body: original } = await server.api('GET', `/api/audit/${move.operationId}`);
+  assert.strictEqual(original.undoneBy, undo.operationId);
+
+  const again = await server.api('POST', `/api/audit/${move.operationId}/undo`);
+  assert.strictEqual(again.status, 409);
+});
+
+test('undo skips items that have moved since', async () => {
+  const { body: move } = await server.api('POST', `/api/storage/${EMPTY_UNIT}/add-bulk`, { itemIds: ['1000000011', '1000000012'] });
+  await server.waitForJob(move.jobId);
+  const { body: out } = await server.api('POST', `/api/storage/${EMPTY_UNIT}/remove-bulk`, { itemIds: ['1000000011'] });
+  await server.waitForJob(out.jobId);
+
+  const { body: undo } = await server.api('POST', `/api/audit/${move.operationId}/undo`);
+  assert.deepStrictEqual(undo.skipped, [{ id: '1000000011', reason: 'Moved since' }]);
+  assert.strictEqual(undo.jobs[0].queued, 1);
+  await server.waitForJob(undo.jobs[0].jobId);
+});
@@ -0,0 +1,44 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, startServer, waitFor } = require('./helpers');
+
+const ACCOUNT = 'scheduler';
+const EMPTY_UNIT = '1000000003';
+const IN_INVENTORY = '1000000004';
+const IN_UNIT = '1000000052'; // in "Trade-up fodder"
+
+let server;
+after(() => server?.stop());
+
+test('a scheduled action still finds stored items after a restart', async () => {
+  // Both items are held for a few seconds; the default fixture the server
+  // restarts with has no holds, as if they ran out while it was down
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/inventory.json'), 'utf8'));
+  for (const item of fixture.items) {
+    if (item.id === IN_INVENTORY || item.id === IN_UNIT) item.trade_hold_days = 3 / 86400;
+  }
+  const dir = tempDir();
+  const fixtureFile = path.join(dir, 'held.json');
+  fs.writeFileSync(fixtureFile, JSON.stringify(fixture));
+
+  server = await startServer({ SKINTOOLS_SIM_FIXTURE: fixtureFile }, { dir });
+  await server.login(ACCOUNT);
+  const { status, body: action } = await server.api('POST', '/api/unlocks/actions', {
+    type: 'move-to-storage', itemIds: [IN_INVENTORY, IN_UNIT], casketId: EMPTY_UNIT,
+  });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(action.status, 'scheduled');
+  await server.stop({ keepDir: true });
+
+  await new Promise(resolve => setTimeout(resolve, new Date(action.unlockAt) - Date.now()));
+  server = await startServer({}, { dir });
+  const done = await waitFor(async () => {
+    const { body } = await server.api('GET', `/api/unlocks/actions/${action.id}`);
+    return body.status !== 'scheduled' && body;
+  }, { what: 'the action to run' });
+  assert.strictEqual(done.status, 'done');
+  assert.strictEqual(done.result.queued, 1);
+  assert.deepStrictEqual(done.result.skipped, [{ id: IN_UNIT, reason: 'In a storage unit' }]);
+});
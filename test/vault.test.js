@@ -0,0 +1,74 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+const dir = tempDir();
+const TOKEN_FILE = path.join(dir, 'tokens.json');
+process.env.SKINTOOLS_TOKEN_FILE = TOKEN_FILE;
+const vault = require('../src/vault');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const TOKENS = { active: 'alice', accounts: { alice: 'token-a', bob: 'token-b' } };
+
+test('an old single-account token file is read as is and migrated on startup', () => {
+  const legacy = JSON.stringify({ accountName: 'alice', token: 'token-a' });
+  fs.writeFileSync(TOKEN_FILE, legacy);
+  assert.deepStrictEqual(vault.readTokens(), { active: 'alice', accounts: { alice: 'token-a' } });
+  assert.strictEqual(fs.readFileSync(TOKEN_FILE, 'utf8'), legacy);
+
+  assert.strictEqual(vault.unlockFromEnv(''), false);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8')), { active: 'alice', accounts: { alice: 'token-a' } });
+});
+
+test('an encrypted vault round-trips tokens', () => {
+  vault.writeTokens(TOKENS);
+  vault.enable('correct horse');
+  assert.strictEqual(JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8')).vault, 1);
+  assert.deepStrictEqual(vault.readTokens(), TOKENS);
+  assert.deepStrictEqual(vault.vaultStatus(), { encrypted: true, locked: false, error: null });
+});
+
+test('a vault that no longer decrypts is reported and never overwritten', () => {
+  const good = fs.readFileSync(TOKEN_FILE, 'utf8');
+  const file = JSON.parse(good);
+  file.data = Buffer.from('tampered').toString('base64');
+  fs.writeFileSync(TOKEN_FILE, JSON.stringify(file));
+  const damaged = fs.readFileSync(TOKEN_FILE, 'utf8');
+
+  const status = vault.vaultStatus();
+  assert.strictEqual(status.locked, true);
+  assert.match(status.error, /no longer decrypts/);
+  assert.deepStrictEqual(vault.readTokens().accounts, {});
+  assert.throws(() => vault.writeTokens({ active: 'carol', accounts: { carol: 'token-c' } }), { status: 409 });
+  assert.throws(() => vault.clearTokens(), { status: 409 });
+  assert.strictEqual(fs.readFileSync(TOKEN_FILE, 'utf8'), damaged);
+
+  fs.writeFileSync(TOKEN_FILE, good);
+  assert.deepStrictEqual(vault.readTokens(), TOKENS);
+});
+
+test('a token file that is not JSON is reported and never overwritten', () => {
+  const good = fs.readFileSync(TOKEN_FILE, 'utf8');
+  fs.writeFileSync(TOKEN_FILE, good.slice(0, 20));
+  assert.match(vault.vaultStatus().error, /can't be read/);
+  assert.throws(() => vault.writeTokens(TOKENS), { status: 409 });
+  assert.throws(() => vault.unlock('correct horse'), { status: 409 });
+  assert.strictEqual(fs.readFileSync(TOKEN_FILE, 'utf8'), good.slice(0, 20));
+  fs.writeFileSync(TOKEN_FILE, good);
+});
+
+test('a vault replaced under another passphrase unlocks with that passphrase', () => {
+  vault.rotate('correct horse', 'battery staple');
+  const rotated = fs.readFileSync(TOKEN_FILE, 'utf8');
+  vault.rotate('battery staple', 'correct horse');
+  fs.writeFileSync(TOKEN_FILE, rotated);
+
+  assert.strictEqual(vault.vaultStatus().locked, true);
+  assert.throws(() => vault.unlock('correct horse'), { status: 401 });
+  vault.unlock('battery staple');
+  assert.deepStrictEqual(vault.vaultStatus(), { encrypted: true, locked: false, error: null });
+  assert.deepStrictEqual(vault.readTokens(), TOKENS);
+});